@@ -0,0 +1,204 @@
+/**
+ * API authentication for the bot server
+ *
+ * Requests can authenticate in one of three ways:
+ *   - Bearer API key:   Authorization: Bearer <key>
+ *       Keys come from API_KEYS as comma-separated "name:key:scope|scope" entries,
+ *       e.g. API_KEYS=website:abc123:send|edit|read,dashboard:def456:read
+ *   - HMAC signature:   X-Timestamp: <unix seconds>, X-Signature: sha256=<hex>
+ *       The signature is HMAC-SHA256(API_HMAC_SECRET, `${timestamp}.${method}.${path}.${rawBody}`),
+ *       where path is the request path with its query string (e.g. POST./api/send-boss),
+ *       so a captured signature cannot be replayed against another route.
+ *       Scopes come from API_HMAC_SCOPES (default send,edit,read).
+ *   - Supabase JWT:     Authorization: Bearer <access token>
+ *       Verified (HS256) against SUPABASE_JWT_SECRET. Users whose app_metadata.role
+ *       is "admin" get every scope, other signed-in users get read only.
+ *
+ * Routes that browsers open directly (EventSource cannot send headers) may also
+ * accept the bearer token as an ?access_token= query parameter.
+ *
+ * Every scope-protected route rejects anonymous callers, and each rejection is
+ * logged with the caller's origin and IP.
+ */
+
+import crypto from 'crypto'
+
+export const ALL_SCOPES = ['send', 'edit', 'read']
+
+// Signed requests older (or newer) than this are rejected to prevent replays
+const HMAC_TOLERANCE_SECONDS = 5 * 60
+
+// Compare secrets without leaking timing information
+export function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a))
+  const bufferB = Buffer.from(String(b))
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB)
+}
+
+function parseScopes(value) {
+  return String(value || '')
+    .split(/[|,\s]+/)
+    .map(scope => scope.trim().toLowerCase())
+    .filter(Boolean)
+}
+
+// Parse "name:key:scope|scope" entries from API_KEYS
+export function parseApiKeys(value) {
+  const keys = []
+
+  for (const entry of String(value || '').split(',')) {
+    const trimmed = entry.trim()
+    if (!trimmed) continue
+
+    const [name, key, scopes] = trimmed.split(':')
+    if (!name || !key) {
+      console.warn(`⚠️ Ignoring malformed API_KEYS entry "${name || trimmed}" (expected name:key:scopes)`)
+      continue
+    }
+
+    keys.push({ name, key, scopes: scopes ? parseScopes(scopes) : ['read'] })
+  }
+
+  return keys
+}
+
+function decodeBase64Url(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+// Verify an HS256 JWT and return its claims, or null if it is invalid or expired
+export function verifyJwt(token, secret) {
+  const parts = token.split('.')
+  if (parts.length !== 3) {
+    return null
+  }
+
+  try {
+    const [encodedHeader, encodedPayload, signature] = parts
+    const header = JSON.parse(decodeBase64Url(encodedHeader).toString('utf8'))
+    if (header.alg !== 'HS256') {
+      return null
+    }
+
+    const expectedSignature = crypto
+      .createHmac('sha256', secret)
+      .update(`${encodedHeader}.${encodedPayload}`)
+      .digest('base64url')
+    if (!safeEqual(signature, expectedSignature)) {
+      return null
+    }
+
+    const claims = JSON.parse(decodeBase64Url(encodedPayload).toString('utf8'))
+    const nowSeconds = Math.floor(Date.now() / 1000)
+    if (claims.exp && claims.exp < nowSeconds) {
+      return null
+    }
+    if (claims.nbf && claims.nbf > nowSeconds) {
+      return null
+    }
+
+    return claims
+  } catch (error) {
+    return null
+  }
+}
+
+// Map Supabase JWT claims to API scopes
+function scopesForJwtClaims(claims) {
+  const appMetadata = claims.app_metadata || {}
+  if (Array.isArray(appMetadata.scopes)) {
+    return parseScopes(appMetadata.scopes.join(','))
+  }
+  if (appMetadata.role === 'admin' || claims.user_role === 'admin') {
+    return [...ALL_SCOPES]
+  }
+  return claims.role === 'authenticated' ? ['read'] : []
+}
+
+// Create the auth layer from environment variables (or explicit options)
+export function createAuth(options = {}) {
+  const apiKeys = options.apiKeys || parseApiKeys(process.env.API_KEYS)
+  const hmacSecret = options.hmacSecret ?? process.env.API_HMAC_SECRET
+  const hmacScopes = options.hmacScopes || parseScopes(process.env.API_HMAC_SCOPES || ALL_SCOPES.join(','))
+  const jwtSecret = options.jwtSecret ?? process.env.SUPABASE_JWT_SECRET
+
+  if (apiKeys.length === 0 && !hmacSecret && !jwtSecret) {
+    console.warn('⚠️ No API credentials configured (API_KEYS, API_HMAC_SECRET or SUPABASE_JWT_SECRET) - protected API routes will reject every request')
+  }
+
+  // Work out who is calling, or return an error message explaining why not
+  function authenticate(req, { allowQueryToken = false } = {}) {
+    const signature = req.get('x-signature')
+    if (signature) {
+      if (!hmacSecret) {
+        return { error: 'HMAC signatures are not enabled' }
+      }
+
+      const timestamp = parseInt(req.get('x-timestamp'), 10)
+      if (!timestamp || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > HMAC_TOLERANCE_SECONDS) {
+        return { error: 'Missing or stale X-Timestamp' }
+      }
+
+      const rawBody = req.rawBody ? req.rawBody.toString('utf8') : ''
+      const signed = `${timestamp}.${req.method.toUpperCase()}.${req.originalUrl}.${rawBody}`
+      const expected = 'sha256=' + crypto.createHmac('sha256', hmacSecret).update(signed).digest('hex')
+      if (!safeEqual(signature, expected)) {
+        return { error: 'Invalid request signature' }
+      }
+
+      return { method: 'hmac', principal: 'hmac', scopes: hmacScopes }
+    }
+
+    const authorization = req.get('authorization') || ''
+    const match = authorization.match(/^Bearer\s+(.+)$/i)
+    const queryToken = allowQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null
+    if (!match && !queryToken) {
+      return { error: 'Missing credentials' }
+    }
+    const token = match ? match[1].trim() : queryToken.trim()
+
+    const apiKey = apiKeys.find(entry => safeEqual(entry.key, token))
+    if (apiKey) {
+      return { method: 'api-key', principal: apiKey.name, scopes: apiKey.scopes }
+    }
+
+    if (jwtSecret && token.split('.').length === 3) {
+      const claims = verifyJwt(token, jwtSecret)
+      if (!claims) {
+        return { error: 'Invalid or expired token' }
+      }
+      return { method: 'jwt', principal: claims.email || claims.sub, scopes: scopesForJwtClaims(claims), claims }
+    }
+
+    return { error: 'Invalid credentials' }
+  }
+
+  // Express middleware that requires the caller to hold a scope
+  function requireScope(scope, options = {}) {
+    return (req, res, next) => {
+      const result = authenticate(req, options)
+      const origin = req.get('origin') || req.get('referer') || 'unknown origin'
+
+      if (result.error) {
+        console.log(`❌ Rejected ${req.method} ${req.path} from ${origin} (${req.ip}): ${result.error}`)
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        })
+      }
+
+      if (!result.scopes.includes(scope)) {
+        console.log(`❌ Rejected ${req.method} ${req.path} from ${origin} (${req.ip}): ${result.principal} lacks "${scope}" scope`)
+        return res.status(403).json({
+          success: false,
+          error: `The "${scope}" scope is required`
+        })
+      }
+
+      req.auth = result
+      next()
+    }
+  }
+
+  return { authenticate, requireScope }
+}
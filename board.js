@@ -0,0 +1,155 @@
+/**
+ * Boss board
+ *
+ * One pinned message per alert channel listing every tracked boss, soonest
+ * spawn first. The periodic refresh loop edits it in place so members always
+ * have an up-to-date overview, even after individual alerts scroll away.
+ *
+ * The board message for each channel is persisted in the "boss-boards" storage
+ * collection ({ [channelId]: messageId }). A deleted board is simply posted
+ * again on the next refresh. Set BOSS_BOARD=false to turn boards off.
+ */
+
+import { EmbedBuilder } from 'discord.js'
+
+// Bosses still up this long after their respawn are flagged as overdue (BOARD_OVERDUE_MINUTES)
+const DEFAULT_OVERDUE_MINUTES = 30
+// Bosses spawning within this many minutes are highlighted
+const SOON_MINUTES = 15
+// Discord's embed description limit
+const DESCRIPTION_LIMIT = 4096
+// Room kept for the "...and N more" line
+const MORE_LINE_RESERVE = 40
+
+// Status icon and label for a board row
+function getRowStatus(row, now, overdueMinutes) {
+  if (!row.respawnAt) {
+    return { icon: '❔', label: row.countdown }
+  }
+
+  const diffMs = row.respawnAt.getTime() - now.getTime()
+  if (diffMs <= -overdueMinutes * 60 * 1000) {
+    return { icon: '🔴', label: `**Overdue** (up <t:${Math.floor(row.respawnAt.getTime() / 1000)}:R>)` }
+  }
+  if (diffMs <= 0) {
+    return { icon: '🟢', label: '**Available Now!**' }
+  }
+  return { icon: diffMs <= SOON_MINUTES * 60 * 1000 ? '🟡' : '⏳', label: row.countdown }
+}
+
+/**
+ * Render the board embed.
+ * rows: [{ monster, location, points, respawnAt: Date|null, countdown, signUps, url }]
+ */
+export function renderBossBoard(rows, now = new Date(), { overdueMinutes = DEFAULT_OVERDUE_MINUTES } = {}) {
+  // Soonest spawn first (available and overdue bosses lead), unknown times last
+  const sorted = [...rows].sort((a, b) =>
+    (a.respawnAt ? a.respawnAt.getTime() : Infinity) - (b.respawnAt ? b.respawnAt.getTime() : Infinity))
+
+  const renderRow = row => {
+    const { icon, label } = getRowStatus(row, now, overdueMinutes)
+    const details = [
+      row.location && row.location !== row.monster ? `📍 ${row.location}` : null,
+      row.points !== undefined && row.points !== null && row.points !== '' ? `💰 ${row.points}` : null,
+      row.signUps !== null ? `✅ ${row.signUps} signed up` : '⏲️ alert not posted yet',
+      row.url ? `[alert](${row.url})` : null
+    ].filter(Boolean)
+
+    return `${icon} **${row.monster}** — ${label}${details.length > 0 ? `\n└ ${details.join(' • ')}` : ''}`
+  }
+
+  // Add rows until the description would overflow, leaving room to say how many were left out
+  const lines = []
+  let length = 0
+  for (const [index, row] of sorted.entries()) {
+    const line = renderRow(row)
+    const added = (lines.length > 0 ? 2 : 0) + line.length
+    const reserve = index < sorted.length - 1 ? MORE_LINE_RESERVE : 0
+    if (length + added + reserve > DESCRIPTION_LIMIT) break
+    lines.push(line)
+    length += added
+  }
+
+  if (sorted.length > lines.length) {
+    lines.push(`*...and ${sorted.length - lines.length} more*`)
+  }
+
+  return new EmbedBuilder()
+    .setTitle('📋 Boss Board')
+    .setColor(0x5865F2)
+    .setDescription(lines.length > 0 ? lines.join('\n\n') : '*No bosses are being tracked right now*')
+    .setFooter({ text: `🟢 Available • 🔴 Overdue (${overdueMinutes}+ min) • 🟡 Soon • Refreshes every 2 minutes` })
+    .setTimestamp(now)
+}
+
+/**
+ * getRows(channelId) returns the board rows for a channel.
+ * fetchChannel(channelId) resolves to a Discord channel or null.
+ */
+export function createBossBoard({
+  storage,
+  getRows,
+  fetchChannel,
+  enabled = process.env.BOSS_BOARD !== 'false',
+  overdueMinutes = parseInt(process.env.BOARD_OVERDUE_MINUTES, 10) || DEFAULT_OVERDUE_MINUTES
+}) {
+  let boards = {}
+  // Last rendered board per channel, so unchanged boards are not re-edited
+  const lastRendered = new Map()
+
+  async function save() {
+    try {
+      await storage.write('boss-boards', boards)
+    } catch (error) {
+      console.error('❌ Failed to persist boss boards:', error.message)
+    }
+  }
+
+  async function refreshChannel(channelId, now) {
+    const channel = await fetchChannel(channelId)
+    if (!channel) {
+      console.log(`⚠️ Could not fetch channel ${channelId} for the boss board`)
+      return
+    }
+
+    const embed = renderBossBoard(getRows(channelId), now, { overdueMinutes })
+    // The timestamp changes every refresh, so compare everything else
+    const rendered = JSON.stringify({ ...embed.toJSON(), timestamp: null })
+
+    const messageId = boards[channelId]
+    const message = messageId ? await channel.messages.fetch(messageId).catch(() => null) : null
+
+    if (message) {
+      if (lastRendered.get(channelId) === rendered) return
+      await message.edit({ embeds: [embed] })
+    } else {
+      const posted = await channel.send({ embeds: [embed] })
+      await posted.pin().catch(error => console.log(`⚠️ Could not pin the boss board in ${channelId}: ${error.message}`))
+      boards[channelId] = posted.id
+      await save()
+      console.log(`📋 Posted boss board in ${channelId}`)
+    }
+    lastRendered.set(channelId, rendered)
+  }
+
+  return {
+    enabled,
+
+    async load() {
+      boards = await storage.read('boss-boards', {})
+    },
+
+    // Edit (or post) the board in each channel
+    async refresh(channelIds, now = new Date()) {
+      if (!enabled) return
+
+      for (const channelId of channelIds) {
+        try {
+          await refreshChannel(channelId, now)
+        } catch (error) {
+          console.error(`❌ Failed to refresh the boss board in ${channelId}:`, error.message)
+        }
+      }
+    }
+  }
+}
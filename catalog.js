@@ -0,0 +1,227 @@
+/**
+ * Boss catalog
+ *
+ * Canonical details for every boss we hunt, so alerts only need to name the
+ * boss: aliases, location, points, image and respawn rule. A boss respawns
+ * either a fixed respawn_hours after death, somewhere inside a window of
+ * respawn_min_hours to respawn_max_hours, or at the fixed clock times of a
+ * respawn_schedule (see recurrence.js). Alerts fill any field they leave out
+ * from the catalog, and an alias resolves to the canonical name.
+ *
+ * The catalog is persisted in the "boss-catalog" storage collection:
+ *   { [lowercase monster]: { monster, aliases, location, points, image_url, respawn_hours | respawn_min_hours + respawn_max_hours | respawn_schedule } }
+ */
+
+import { parseRespawnSchedule } from './recurrence.js'
+import { parsePayloadTime } from './timezone.js'
+
+const HOUR_MS = 60 * 60 * 1000
+const TIMING_FIELDS = ['respawn_hours', 'respawn_min_hours', 'respawn_max_hours', 'respawn_schedule']
+
+const isBlank = value => value === undefined || value === null || value === ''
+
+// Earliest and latest respawn of a boss that spawns within a window, or null.
+// An offset-less time_of_death is read in timeZone (DISPLAY_TIMEZONE)
+export function getRespawnWindow(boss, timeZone) {
+  if (!boss.time_of_death || isBlank(boss.respawn_max_hours)) {
+    return null
+  }
+
+  const deathTime = parsePayloadTime(boss.time_of_death, timeZone)?.getTime()
+  const minHours = Number(boss.respawn_min_hours) || 0
+  const maxHours = Number(boss.respawn_max_hours)
+  if (deathTime === undefined || !(maxHours > 0)) {
+    return null
+  }
+
+  return {
+    start: new Date(deathTime + minHours * HOUR_MS),
+    end: new Date(deathTime + Math.max(minHours, maxHours) * HOUR_MS)
+  }
+}
+
+// Whether a boss has a respawn rule (death timer, window or fixed schedule), so its next cycles can be scheduled
+export function hasRespawnTimer(boss) {
+  return Boolean(boss.respawn_hours) || Number(boss.respawn_max_hours) > 0 || Boolean(boss.respawn_schedule)
+}
+
+// Parse aliases from an array or comma-separated text
+function parseAliases(value) {
+  const aliases = Array.isArray(value) ? value : String(value || '').split(',')
+  return [...new Set(aliases.map(alias => String(alias).trim()).filter(Boolean))]
+}
+
+/**
+ * Validate catalog fields, merged over an existing entry when updating.
+ * null clears a field. Returns { entry } or { error }.
+ */
+export function buildCatalogEntry(changes, existing = {}) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return { error: 'Request body must be an object of catalog fields' }
+  }
+
+  const entry = { ...existing }
+  // Setting one kind of respawn rule replaces the others
+  const rules = [['respawn_hours'], ['respawn_min_hours', 'respawn_max_hours'], ['respawn_schedule']]
+  const newRule = rules.find(fields => fields.some(field => !isBlank(changes[field])))
+  for (const fields of rules) {
+    if (newRule && fields !== newRule) {
+      fields.forEach(field => delete entry[field])
+    }
+  }
+
+  if (!isBlank(changes.respawn_schedule)) {
+    const { error } = parseRespawnSchedule(changes.respawn_schedule)
+    if (error) {
+      return { error }
+    }
+  }
+
+  for (const field of ['monster', 'location', 'image_url', 'respawn_schedule']) {
+    if (changes[field] === null) {
+      delete entry[field]
+    } else if (changes[field] !== undefined) {
+      entry[field] = String(changes[field]).trim()
+    }
+  }
+  if (changes.aliases !== undefined) {
+    entry.aliases = parseAliases(changes.aliases)
+  }
+  for (const field of ['points', 'respawn_hours', 'respawn_min_hours', 'respawn_max_hours']) {
+    if (changes[field] === null) {
+      delete entry[field]
+    } else if (!isBlank(changes[field])) {
+      const value = Number(changes[field])
+      if (isNaN(value) || value < 0) {
+        return { error: `${field} must be a non-negative number` }
+      }
+      entry[field] = value
+    }
+  }
+
+  if (!entry.monster) {
+    return { error: 'monster is required' }
+  }
+  entry.aliases = (entry.aliases || []).filter(alias => alias.toLowerCase() !== entry.monster.toLowerCase())
+  if (!isBlank(entry.respawn_min_hours) && isBlank(entry.respawn_max_hours)) {
+    return { error: 'respawn_max_hours is required with respawn_min_hours' }
+  }
+  if (entry.respawn_max_hours !== undefined && (entry.respawn_min_hours || 0) > entry.respawn_max_hours) {
+    return { error: 'respawn_min_hours cannot be more than respawn_max_hours' }
+  }
+
+  return { entry }
+}
+
+export function createBossCatalog({ storage }) {
+  let catalog = {}
+
+  async function save() {
+    try {
+      await storage.write('boss-catalog', catalog)
+    } catch (error) {
+      console.error('❌ Failed to persist boss catalog:', error.message)
+    }
+  }
+
+  // Catalog key of the entry a name or alias belongs to, or null
+  function findKey(name) {
+    const wantedName = String(name || '').trim().toLowerCase()
+    if (!wantedName) {
+      return null
+    }
+    if (catalog[wantedName]) {
+      return wantedName
+    }
+    return Object.keys(catalog).find(key =>
+      (catalog[key].aliases || []).some(alias => alias.toLowerCase() === wantedName)) || null
+  }
+
+  return {
+    async load() {
+      catalog = await storage.read('boss-catalog', {})
+      console.log(`📖 Restored ${Object.keys(catalog).length} bosses in the catalog`)
+    },
+
+    list() {
+      return Object.values(catalog).sort((a, b) => a.monster.localeCompare(b.monster))
+    },
+
+    // Look up a boss by canonical name or alias
+    find(name) {
+      const key = findKey(name)
+      return key ? catalog[key] : null
+    },
+
+    // Canonical spelling of a boss name, or the name as given if it isn't catalogued
+    resolveName(name) {
+      return this.find(name)?.monster || name
+    },
+
+    /**
+     * Add or update a boss. Updating looks the boss up by name or alias.
+     * Returns { entry, created } or { error } (invalid fields or a name clash).
+     */
+    async upsert(name, changes) {
+      const key = findKey(name)
+      const { entry, error } = key
+        ? buildCatalogEntry(changes, catalog[key])
+        : buildCatalogEntry({ monster: name, ...changes })
+      if (error) {
+        return { error }
+      }
+
+      // Names and aliases must point at exactly one boss
+      for (const otherName of [entry.monster, ...entry.aliases]) {
+        const otherKey = findKey(otherName)
+        if (otherKey && otherKey !== key) {
+          return { error: `"${otherName}" already belongs to ${catalog[otherKey].monster}` }
+        }
+      }
+
+      if (key) {
+        delete catalog[key]
+      }
+      catalog[entry.monster.toLowerCase()] = entry
+      await save()
+      return { entry, created: !key }
+    },
+
+    async remove(name) {
+      const key = findKey(name)
+      if (!key) {
+        return null
+      }
+      const entry = catalog[key]
+      delete catalog[key]
+      await save()
+      return entry
+    },
+
+    // Boss data with the canonical name, and anything it leaves out taken from the catalog
+    fill(bossData) {
+      const entry = this.find(bossData.monster || bossData.name)
+      if (!entry) {
+        return bossData
+      }
+
+      const filled = { ...bossData, monster: entry.monster }
+      for (const field of ['location', 'points', 'image_url']) {
+        // The website sends its image as display_image
+        const sent = field === 'image_url' ? filled.image_url || filled.display_image : filled[field]
+        if (isBlank(sent) && !isBlank(entry[field])) {
+          filled[field] = entry[field]
+        }
+      }
+      // The respawn rule is only taken as a whole, so a sent respawn_hours is never mixed with a window
+      if (TIMING_FIELDS.every(field => isBlank(filled[field]))) {
+        for (const field of TIMING_FIELDS) {
+          if (!isBlank(entry[field])) {
+            filled[field] = entry[field]
+          }
+        }
+      }
+      return filled
+    }
+  }
+}
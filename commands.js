@@ -0,0 +1,358 @@
+/**
+ * Slash command definitions
+ *
+ * The bot registers these on startup; handling lives in discord-bot-server.js
+ * next to the alert logic it reuses.
+ *
+ * Officer-only commands are gated at runtime by OFFICER_ROLE_IDS (comma-separated
+ * role IDs). When no officer role is configured, members with Manage Server
+ * permission are treated as officers.
+ */
+
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js'
+
+export const bossCommand = new SlashCommandBuilder()
+  .setName('boss')
+  .setDescription('Manage boss alerts')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('announce')
+    .setDescription('Post a boss alert to the alert channel')
+    .addStringOption(option => option
+      .setName('monster')
+      .setDescription('Boss name')
+      .setRequired(true))
+    .addNumberOption(option => option
+      .setName('respawn_hours')
+      .setDescription('Hours between death and respawn (defaults to the boss catalog)')
+      .setMinValue(0))
+    .addStringOption(option => option
+      .setName('schedule')
+      .setDescription('Fixed spawn times instead, e.g. Tue/Thu/Sat 20:00 GMT+8'))
+    .addStringOption(option => option
+      .setName('time_of_death')
+      .setDescription('When the boss died, e.g. 21:30 (your /timezone) or an ISO timestamp. Defaults to now'))
+    .addIntegerOption(option => option
+      .setName('points')
+      .setDescription('Points awarded for this boss')
+      .setMinValue(0))
+    .addStringOption(option => option
+      .setName('notes')
+      .setDescription('Extra notes shown on the alert'))
+    .addStringOption(option => option
+      .setName('composition')
+      .setDescription('Minimum party, e.g. tank:1, healer:2')))
+  .addSubcommand(subcommand => subcommand
+    .setName('killed')
+    .setDescription('Record a boss kill, close its alerts and restart its respawn timer')
+    .addStringOption(option => option
+      .setName('monster')
+      .setDescription('Boss name')
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('time')
+      .setDescription('Time of death, e.g. 21:30 (your /timezone) or an ISO timestamp. Defaults to now')))
+  .addSubcommand(subcommand => subcommand
+    .setName('track')
+    .setDescription('Schedule automatic alerts before a boss respawns')
+    .addStringOption(option => option
+      .setName('monster')
+      .setDescription('Boss name')
+      .setRequired(true))
+    .addNumberOption(option => option
+      .setName('respawn_hours')
+      .setDescription('Hours between death and respawn (defaults to the boss catalog)')
+      .setMinValue(0))
+    .addStringOption(option => option
+      .setName('schedule')
+      .setDescription('Fixed spawn times instead, e.g. Tue/Thu/Sat 20:00 GMT+8'))
+    .addStringOption(option => option
+      .setName('time_of_death')
+      .setDescription('When the boss died, e.g. 21:30 (your /timezone) or an ISO timestamp. Defaults to now'))
+    .addIntegerOption(option => option
+      .setName('points')
+      .setDescription('Points awarded for this boss')
+      .setMinValue(0))
+    .addStringOption(option => option
+      .setName('notes')
+      .setDescription('Extra notes shown on the alert')))
+  .addSubcommand(subcommand => subcommand
+    .setName('untrack')
+    .setDescription('Stop automatic alerts for a boss')
+    .addStringOption(option => option
+      .setName('monster')
+      .setDescription('Boss name')
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('schedule')
+    .setDescription('Show bosses with automatic alerts scheduled'))
+  .addSubcommand(subcommand => subcommand
+    .setName('list')
+    .setDescription('List the boss alerts the bot is tracking'))
+  .addSubcommand(subcommand => subcommand
+    .setName('cancel')
+    .setDescription('Cancel a boss alert and stop tracking it')
+    .addStringOption(option => option
+      .setName('message_id')
+      .setDescription('Message ID of the alert')
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('attendance')
+    .setDescription('Confirm who showed up to a boss kill, for no-show stats')
+    .addStringOption(option => option
+      .setName('monster')
+      .setDescription('Boss name - confirms its most recent kill')
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('absent')
+      .setDescription('Members who signed up but did not show, e.g. @Ana @Bo (default: everyone showed)'))
+    .addStringOption(option => option
+      .setName('message_id')
+      .setDescription('Message ID of the closed alert, for an earlier kill')))
+  .addSubcommandGroup(group => group
+    .setName('catalog')
+    .setDescription('Canonical boss details alerts are filled in from')
+    .addSubcommand(subcommand => subcommand
+      .setName('list')
+      .setDescription('List the bosses in the catalog'))
+    .addSubcommand(subcommand => subcommand
+      .setName('show')
+      .setDescription('Show one catalogued boss')
+      .addStringOption(option => option
+        .setName('monster')
+        .setDescription('Boss name or alias')
+        .setRequired(true)))
+    .addSubcommand(subcommand => subcommand
+      .setName('set')
+      .setDescription('Add a boss to the catalog or change it')
+      .addStringOption(option => option
+        .setName('monster')
+        .setDescription('Boss name or alias')
+        .setRequired(true))
+      .addNumberOption(option => option
+        .setName('respawn_hours')
+        .setDescription('Fixed hours between death and respawn')
+        .setMinValue(0))
+      .addNumberOption(option => option
+        .setName('min_hours')
+        .setDescription('Earliest respawn, in hours after death (spawn window)')
+        .setMinValue(0))
+      .addNumberOption(option => option
+        .setName('max_hours')
+        .setDescription('Latest respawn, in hours after death (spawn window)')
+        .setMinValue(0))
+      .addStringOption(option => option
+        .setName('schedule')
+        .setDescription('Fixed spawn times, e.g. Tue/Thu/Sat 20:00 GMT+8 or daily 12:00,20:00'))
+      .addStringOption(option => option
+        .setName('location')
+        .setDescription('Where the boss spawns'))
+      .addIntegerOption(option => option
+        .setName('points')
+        .setDescription('Points awarded for this boss')
+        .setMinValue(0))
+      .addStringOption(option => option
+        .setName('image_url')
+        .setDescription('Image shown on alerts'))
+      .addStringOption(option => option
+        .setName('aliases')
+        .setDescription('Other names, comma-separated (replaces the current aliases)')))
+    .addSubcommand(subcommand => subcommand
+      .setName('remove')
+      .setDescription('Remove a boss from the catalog')
+      .addStringOption(option => option
+        .setName('monster')
+        .setDescription('Boss name or alias')
+        .setRequired(true))))
+
+export const pointsCommand = new SlashCommandBuilder()
+  .setName('points')
+  .setDescription('Check boss points earned from attendance')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('me')
+    .setDescription('Show your own points'))
+  .addSubcommand(subcommand => subcommand
+    .setName('user')
+    .setDescription('Show points for another member')
+    .addUserOption(option => option
+      .setName('member')
+      .setDescription('Member to look up')
+      .setRequired(true)))
+
+export const leaderboardCommand = new SlashCommandBuilder()
+  .setName('leaderboard')
+  .setDescription('Show the boss points leaderboard')
+  .setDMPermission(false)
+  .addStringOption(option => option
+    .setName('period')
+    .setDescription('Time period (default: all time)')
+    .addChoices(
+      { name: 'Past week', value: 'week' },
+      { name: 'Past month', value: 'month' },
+      { name: 'All time', value: 'all' }
+    ))
+
+export const statsCommand = new SlashCommandBuilder()
+  .setName('stats')
+  .setDescription('Attendance statistics (officers only)')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('member')
+    .setDescription('Sign-up rate, no-shows, favorite bosses and streaks for a member')
+    .addUserOption(option => option
+      .setName('member')
+      .setDescription('Member to look up')
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('period')
+      .setDescription('Time period (default: all time)')
+      .addChoices(
+        { name: 'Past week', value: 'week' },
+        { name: 'Past month', value: 'month' },
+        { name: 'All time', value: 'all' }
+      )))
+  .addSubcommand(subcommand => subcommand
+    .setName('boss')
+    .setDescription('Average turnout and participation over time for a boss')
+    .addStringOption(option => option
+      .setName('monster')
+      .setDescription('Boss name or alias')
+      .setRequired(true))
+    .addStringOption(option => option
+      .setName('period')
+      .setDescription('Time period (default: all time)')
+      .addChoices(
+        { name: 'Past week', value: 'week' },
+        { name: 'Past month', value: 'month' },
+        { name: 'All time', value: 'all' }
+      )))
+
+export const subscribeCommand = new SlashCommandBuilder()
+  .setName('subscribe')
+  .setDescription('Get pinged when a boss alert is posted')
+  .setDMPermission(false)
+  .addStringOption(option => option
+    .setName('monster')
+    .setDescription('Boss name')
+    .setRequired(true))
+
+export const unsubscribeCommand = new SlashCommandBuilder()
+  .setName('unsubscribe')
+  .setDescription('Stop getting pinged for a boss')
+  .setDMPermission(false)
+  .addStringOption(option => option
+    .setName('monster')
+    .setDescription('Boss name (default: every boss)'))
+
+export const subscriptionsCommand = new SlashCommandBuilder()
+  .setName('subscriptions')
+  .setDescription('List the bosses you are subscribed to')
+  .setDMPermission(false)
+
+export const remindersCommand = new SlashCommandBuilder()
+  .setName('reminders')
+  .setDescription('DM reminders before bosses you joined')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('show')
+    .setDescription('Show your reminder settings'))
+  .addSubcommand(subcommand => subcommand
+    .setName('on')
+    .setDescription('Turn DM reminders on'))
+  .addSubcommand(subcommand => subcommand
+    .setName('off')
+    .setDescription('Turn DM reminders off'))
+  .addSubcommand(subcommand => subcommand
+    .setName('lead')
+    .setDescription('Choose how long before the respawn to be reminded')
+    .addStringOption(option => option
+      .setName('minutes')
+      .setDescription('Minutes before respawn, comma-separated (e.g. 30,10), or "default"')
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('quiet')
+    .setDescription('Set hours without DMs (leave both empty to clear)')
+    .addStringOption(option => option
+      .setName('start')
+      .setDescription('Start of quiet hours, HH:MM in your /timezone'))
+    .addStringOption(option => option
+      .setName('end')
+      .setDescription('End of quiet hours, HH:MM in your /timezone')))
+
+export const timezoneCommand = new SlashCommandBuilder()
+  .setName('timezone')
+  .setDescription('Set the timezone used for times you type and read in DMs')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('set')
+    .setDescription('Set your timezone')
+    .addStringOption(option => option
+      .setName('zone')
+      .setDescription('e.g. Europe/London, America/New_York or GMT+8')
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('show')
+    .setDescription('Show your timezone'))
+  .addSubcommand(subcommand => subcommand
+    .setName('clear')
+    .setDescription('Go back to the server default timezone'))
+
+export const profileCommand = new SlashCommandBuilder()
+  .setName('profile')
+  .setDescription('Your party class, shown on alert rosters')
+  .setDMPermission(false)
+  .addSubcommand(subcommand => subcommand
+    .setName('class')
+    .setDescription('Set your class')
+    .addStringOption(option => option
+      .setName('class')
+      .setDescription('e.g. Tank, Healer or DPS')
+      .setRequired(true)))
+  .addSubcommand(subcommand => subcommand
+    .setName('show')
+    .setDescription('Show your class'))
+  .addSubcommand(subcommand => subcommand
+    .setName('clear')
+    .setDescription('Go back to the class from your Discord roles'))
+
+// All commands the bot registers
+export function getCommandDefinitions() {
+  return [
+    bossCommand,
+    pointsCommand,
+    leaderboardCommand,
+    statsCommand,
+    subscribeCommand,
+    unsubscribeCommand,
+    subscriptionsCommand,
+    remindersCommand,
+    timezoneCommand,
+    profileCommand
+  ].map(command => command.toJSON())
+}
+
+// Configured officer role IDs
+export function getOfficerRoleIds() {
+  return (process.env.OFFICER_ROLE_IDS || '')
+    .split(',')
+    .map(roleId => roleId.trim())
+    .filter(Boolean)
+}
+
+// Check whether the member behind an interaction may use officer commands
+export function isOfficer(interaction) {
+  if (!interaction.inGuild() || !interaction.member) {
+    return false
+  }
+
+  const officerRoleIds = getOfficerRoleIds()
+  if (officerRoleIds.length === 0) {
+    return interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild) || false
+  }
+
+  // member.roles is a manager for cached members and a plain ID array otherwise
+  const memberRoles = interaction.member.roles
+  const roleIds = Array.isArray(memberRoles) ? memberRoles : [...memberRoles.cache.keys()]
+  return officerRoleIds.some(roleId => roleIds.includes(roleId))
+}
@@ -12,6 +12,29 @@ console.log('🚀 Discord Bot Server starting...')
  * 1. Set environment variables:
  *    - DISCORD_BOT_TOKEN: Your Discord bot token
  *    - DISCORD_CHANNEL_ID: The Discord channel ID to send messages to
+ *    - STORAGE_DRIVER (optional): file (default), sqlite or memory
+ *    - DATA_DIR (optional): Where the file/sqlite backends keep their data (default ./data)
+ *    - API_KEYS / API_HMAC_SECRET / SUPABASE_JWT_SECRET: API credentials (see auth.js)
+ *    - ALERT_ROUTES (optional): JSON routing rules sending alerts to other channels/guilds (see routing.js)
+ *    - DEDUP_WINDOW_MINUTES (optional): Treat a send for the same boss within this many minutes of a tracked alert's respawn as a duplicate (default 10, 0 disables)
+ *    - ALERT_MENTIONS (optional): JSON map of channel ID (or "default") to mention mode: none, subscribers or here (see subscriptions.js)
+ *    - SUBSCRIPTION_ROLES (optional): Set to true to manage a mentionable role per subscribed boss (needs Manage Roles)
+ *    - REMINDER_LEAD_MINUTES (optional): Minutes before respawn to DM members who joined an alert (default 10)
+ *    - DISPLAY_TIMEZONE (optional): Timezone for times typed or shown as plain text (default Asia/Manila)
+ *    - GUILD_TIMEZONES (optional): JSON map of guild ID to timezone, overriding DISPLAY_TIMEZONE per guild
+ *    - BOSS_BOARD (optional): Set to false to turn off the pinned boss board in each alert channel
+ *    - BOARD_OVERDUE_MINUTES (optional): Minutes after respawn before the board flags a boss as overdue (default 30)
+ *    - EDIT_DEBOUNCE_MS (optional): Coalesce alert edits for this long after a participation change (default 1500)
+ *    - NAME_CACHE_MINUTES (optional): How long resolved member names are cached (default 10)
+ *    - ROSTER_ROLE_TAGS (optional): JSON map of role ID to a tag shown after member names on rosters (see roster.js)
+ *    - SUPABASE_WEBHOOK_SECRET (optional): Shared secret for the Supabase boss-table webhook at /api/ingest/supabase (see ingest.js)
+ *    - SUPABASE_BOSS_TABLE (optional): Table the Supabase webhook syncs (default bosses)
+ *    - SUPABASE_STATUS_ACTIONS (optional): JSON map of boss status to post, close or ignore for the Supabase webhook
+ *    - WEBHOOK_MAX_ATTEMPTS (optional): Attempts per outbound webhook delivery before it is marked failed (default 5 - see webhooks.js)
+ *    - PARTY_ROLES (optional): JSON map of party role to Discord role ID for party composition (default Tank, Healer, DPS - see party.js)
+ *    - OFFICER_ROLE_IDS (optional): Roles allowed to use officer slash commands (default: Manage Server permission)
+ *    - ALERT_LEAD_MINUTES (optional): Minutes before respawn to post scheduled alerts (default 15,5)
+ *    - RECONCILE_MESSAGE_LIMIT (optional): Recent messages to rescan for reactions on startup (default 50, max 100)
  *
  * 2. Run the server:
  *    node discord-bot-server.js
@@ -20,17 +43,35 @@ console.log('🚀 Discord Bot Server starting...')
  *    POST /api/send-boss - Send a boss notification to Discord
  */
 
-import { Client, GatewayIntentBits, EmbedBuilder } from 'discord.js'
+import { Client, GatewayIntentBits, EmbedBuilder, MessageFlags, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder } from 'discord.js'
 import express from 'express'
 import cors from 'cors'
 import dotenv from 'dotenv'
+import { createStorage } from './storage.js'
+import { createAuth } from './auth.js'
+import { getCommandDefinitions, isOfficer } from './commands.js'
+import { DEFAULT_TIMEZONE, parseTimeInput, parsePayloadTime, normalizeTimeZone, parseGuildTimeZones, getTimeZoneLabel, formatZonedTime } from './timezone.js'
+import { createBossScheduler, getScheduleKey } from './scheduler.js'
+import { createPointsLedger, getPeriodStart } from './ledger.js'
+import { createAlertRouter } from './routing.js'
+import { createEventStream } from './events.js'
+import { createIdempotencyStore, createKeyedLock, fingerprintBody } from './idempotency.js'
+import { createSubscriptionStore } from './subscriptions.js'
+import { createUserSettings, parseClockMinutes } from './user-settings.js'
+import { createReminderScheduler } from './reminders.js'
+import { createBossBoard } from './board.js'
+import { createEditQueue, createNameCache, isRateLimitError, isMessageEditRateLimit } from './edit-queue.js'
+import { ROSTER_SECTIONS, parseRoleTags, formatMemberName, buildRosterFields, buildRosterCsv } from './roster.js'
+import { createBossCatalog, getRespawnWindow, hasRespawnTimer } from './catalog.js'
+import { parseRespawnSchedule, getNextScheduledRespawn, getScheduledRespawnTime, describeRespawnSchedule } from './recurrence.js'
+import { parseStatusActions, verifyWebhookSecret, planIngest } from './ingest.js'
+import { createWebhooks } from './webhooks.js'
+import { formatRate, getMemberStats, getBossStats, getBossOverview, getMemberOverview } from './stats.js'
+import { UNASSIGNED_ROLE, parsePartyRoles, findPartyRole, resolvePartyRole, parseComposition, groupByPartyRole, buildCompositionField } from './party.js'
 
 // Load environment variables
 dotenv.config()
 
-// Set timezone to Philippines
-process.env.TZ = 'Asia/Manila'
-
 const app = express()
 const PORT = process.env.PORT || 3001
 
@@ -47,17 +88,170 @@ app.use(cors({
     /^https:\/\/.*\.up\.railway\.app$/,
     /^https:\/\/.*\.onrender\.com$/
   ],
-  credentials: true
+  credentials: true,
+  // Let the website see when a send-boss response was a replay
+  exposedHeaders: ['Idempotent-Replayed']
+}))
+// Keep the raw body around so HMAC signatures can be verified
+app.use(express.json({
+  verify: (req, _, buf) => {
+    req.rawBody = buf
+  }
 }))
-app.use(express.json())
+
+// API authentication (bearer API keys, HMAC signatures or Supabase JWTs)
+const auth = createAuth()
 
 // Discord bot setup
 let discordClient = null
 let isConnected = false
 let targetChannelId = process.env.DISCORD_CHANNEL_ID
+// Routes alerts to channels by boss, region or point tier (see routing.js)
+const alertRouter = createAlertRouter({ defaultChannelId: targetChannelId })
+// Live bot activity for the website (see events.js)
+const eventStream = createEventStream()
+// Alerts we've already announced as available, so boss-available fires once per alert
+const availableAnnounced = new Set()
+// Idempotency-Key replay for /api/send-boss (see idempotency.js)
+let idempotencyStore = null
+// Serializes alert posting per boss so duplicate checks can't race
+const bossAlertLock = createKeyedLock()
 const participationData = new Map()
 // Store boss data for each message to enable respawn time updates
 const messageBossData = new Map()
+// Persistent storage backend (see storage.js)
+let storage = null
+// Automatic alerts before bosses respawn (see scheduler.js)
+let bossScheduler = null
+// Attendance and points per boss kill (see ledger.js)
+let pointsLedger = null
+// Who wants to be pinged for which boss (see subscriptions.js)
+let subscriptionStore = null
+const subscriptionRolesEnabled = process.env.SUBSCRIPTION_ROLES === 'true'
+// Per-member preferences (see user-settings.js)
+let userSettings = null
+// Server-side display timezone, optionally per guild (see timezone.js)
+const DISPLAY_TIMEZONE = normalizeTimeZone(process.env.DISPLAY_TIMEZONE) || DEFAULT_TIMEZONE
+const guildTimeZones = parseGuildTimeZones(process.env.GUILD_TIMEZONES)
+// DMs before bosses members joined (see reminders.js)
+let reminderScheduler = null
+// Pinned overview of every tracked boss per channel (see board.js)
+let bossBoard = null
+// Coalesced, rate-limit-aware alert edits and cached member names (see edit-queue.js)
+const editQueue = createEditQueue()
+// Role tags shown after member names on rosters (see roster.js)
+const rosterRoleTags = parseRoleTags(process.env.ROSTER_ROLE_TAGS)
+// Party roles members register as, for alert composition (see party.js)
+const partyRoles = parsePartyRoles(process.env.PARTY_ROLES)
+// Canonical boss details and respawn rules (see catalog.js)
+let bossCatalog = null
+// Supabase boss-table webhook (see ingest.js)
+const supabaseBossTable = process.env.SUPABASE_BOSS_TABLE || 'bosses'
+const supabaseStatusActions = parseStatusActions(process.env.SUPABASE_STATUS_ACTIONS)
+// Signed event deliveries to other tools (see webhooks.js)
+let outboundWebhooks = null
+// Keys are "guildId:userId" for guild nicknames, or a bare user ID
+const nameCache = createNameCache({
+  fetchName: async key => {
+    const [guildId, userId] = key.includes(':') ? key.split(':') : [null, key]
+    if (guildId) {
+      const guild = discordClient.guilds.cache.get(guildId) || await discordClient.guilds.fetch(guildId)
+      const member = await guild.members.fetch(userId).catch(() => null)
+      if (member) {
+        return formatMemberName(member, rosterRoleTags)
+      }
+    }
+    // Not in the guild (any more) - fall back to their global name
+    const user = await discordClient.users.fetch(userId)
+    return user.displayName || user.username
+  }
+})
+
+// Empty participation record for an alert - each member is in at most one set
+function createParticipationRecord() {
+  return {
+    participating: new Set(),
+    notParticipating: new Set(),
+    maybe: new Set()
+  }
+}
+
+// Sign-up counts for an alert
+function getParticipationCounts(data) {
+  return {
+    participating: data.participating.size,
+    maybe: data.maybe.size,
+    notParticipating: data.notParticipating.size
+  }
+}
+
+// Tell live listeners that a member's sign-up changed (status is null when they cleared it)
+function publishParticipationChange(messageId, userId, status) {
+  const data = participationData.get(messageId)
+  eventStream.publish('participation-changed', {
+    messageId,
+    monster: messageBossData.get(messageId)?.monster || null,
+    userId,
+    status,
+    counts: data ? getParticipationCounts(data) : null
+  })
+}
+
+// Channel a tracked alert was posted in (alerts from before routing live in the default channel)
+function getAlertChannelId(messageId) {
+  return messageBossData.get(messageId)?.channelId || targetChannelId
+}
+
+// Strip per-message tracking fields so stored alert data can be reused as a boss definition
+function toBossDefinition(bossData) {
+  const { channelId, status, killId, ...boss } = bossData
+  return boss
+}
+
+// Load tracked messages and their participation from storage
+async function loadTrackedMessages() {
+  const storedBossData = await storage.read('boss-messages', {})
+  const storedParticipation = await storage.read('participation', {})
+
+  for (const [messageId, bossData] of Object.entries(storedBossData)) {
+    messageBossData.set(messageId, bossData)
+  }
+
+  for (const [messageId, data] of Object.entries(storedParticipation)) {
+    participationData.set(messageId, {
+      participating: new Set(data.participating || []),
+      notParticipating: new Set(data.notParticipating || []),
+      maybe: new Set(data.maybe || [])
+    })
+  }
+
+  console.log(`💾 Restored ${messageBossData.size} boss messages and ${participationData.size} participation records (${storage.driver} storage)`)
+}
+
+// Write tracked messages and their participation through to storage
+async function saveTrackedMessages() {
+  if (!storage) {
+    return
+  }
+
+  const serializedParticipation = {}
+  for (const [messageId, data] of participationData.entries()) {
+    serializedParticipation[messageId] = {
+      participating: [...data.participating],
+      notParticipating: [...data.notParticipating],
+      maybe: [...data.maybe]
+    }
+  }
+
+  try {
+    await Promise.all([
+      storage.write('boss-messages', Object.fromEntries(messageBossData)),
+      storage.write('participation', serializedParticipation)
+    ])
+  } catch (error) {
+    console.error('❌ Failed to persist tracked messages:', error.message)
+  }
+}
 
 // Initialize Discord bot
 async function initializeDiscordBot() {
@@ -83,10 +277,35 @@ async function initializeDiscordBot() {
       ]
     })
 
+    // Hold queued alert edits back while Discord is rate limiting message edits
+    discordClient.rest.on('rateLimited', info => {
+      if (!isMessageEditRateLimit(info)) {
+        return
+      }
+      console.log(`⏳ Discord rate limit on ${info.route} - pausing alert edits for ${Math.ceil(info.timeToReset / 1000)}s`)
+      editQueue.pause(info.timeToReset)
+    })
+
     // Set up event handlers
-    discordClient.on('ready', () => {
+    discordClient.on('ready', async () => {
       console.log(`✅ Discord bot logged in as ${discordClient.user.tag}!`)
       isConnected = true
+      eventStream.publish('bot-connected', { botUser: discordClient.user.tag })
+
+      await registerSlashCommands()
+
+      // Catch up on reactions added or removed while the bot was offline
+      await rebuildParticipationFromReactions()
+
+      await bossBoard.refresh(alertRouter.getAllChannelIds())
+    })
+
+    discordClient.on('interactionCreate', async (interaction) => {
+      if (interaction.isChatInputCommand()) {
+        await handleSlashCommand(interaction)
+      } else if (interaction.isButton()) {
+        await handleButton(interaction)
+      }
     })
 
     discordClient.on('messageReactionAdd', async (reaction, user) => {
@@ -106,6 +325,19 @@ async function initializeDiscordBot() {
     discordClient.on('disconnect', () => {
       console.log('Discord bot disconnected')
       isConnected = false
+      eventStream.publish('bot-disconnected', {})
+    })
+
+    discordClient.on('shardDisconnect', (event, shardId) => {
+      console.log(`Discord bot disconnected (shard ${shardId}, code ${event.code})`)
+      isConnected = false
+      eventStream.publish('bot-disconnected', { code: event.code })
+    })
+
+    discordClient.on('shardResume', () => {
+      console.log('Discord bot reconnected')
+      isConnected = true
+      eventStream.publish('bot-connected', { botUser: discordClient.user?.tag || null })
     })
 
     // Login to Discord
@@ -116,6 +348,12 @@ async function initializeDiscordBot() {
     // Start periodic respawn time updates
     startPeriodicRespawnTimeUpdates()
 
+    // Start automatic alerts for scheduled bosses
+    bossScheduler.start()
+
+    // Start DM reminders for members who joined alerts
+    reminderScheduler.start()
+
     return true
   } catch (error) {
     console.error('❌ Failed to initialize Discord bot:', error)
@@ -134,6 +372,15 @@ function startPeriodicRespawnTimeUpdates() {
 
     console.log('🔄 Updating respawn times in Discord messages...')
 
+    // Each channel is fetched once per cycle, however many alerts it holds
+    const channels = new Map()
+    const fetchChannelOnce = async channelId => {
+      if (!channels.has(channelId)) {
+        channels.set(channelId, await discordClient.channels.fetch(channelId).catch(() => null))
+      }
+      return channels.get(channelId)
+    }
+
     for (const [messageId, bossData] of messageBossData.entries()) {
       try {
         const participationInfo = participationData.get(messageId)
@@ -142,10 +389,11 @@ function startPeriodicRespawnTimeUpdates() {
           continue
         }
 
-        // Try to fetch the message
-        const channel = await discordClient.channels.fetch(targetChannelId)
+        // Try to fetch the message from the channel it was posted in
+        const channelId = getAlertChannelId(messageId)
+        const channel = await fetchChannelOnce(channelId)
         if (!channel) {
-          console.log(`⚠️ Could not fetch channel ${targetChannelId}`)
+          console.log(`⚠️ Could not fetch channel ${channelId}`)
           continue
         }
 
@@ -154,11 +402,25 @@ function startPeriodicRespawnTimeUpdates() {
           console.log(`⚠️ Could not fetch message ${messageId}, removing from tracking`)
           messageBossData.delete(messageId)
           participationData.delete(messageId)
+          availableAnnounced.delete(messageId)
+          await saveTrackedMessages()
+          eventStream.publish('alert-expired', { messageId, monster: bossData.monster, reason: 'message-deleted' })
           continue
         }
 
         // Update the embed with current respawn time
-        await updateParticipationEmbed(message, participationInfo)
+        await queueParticipationEmbedUpdate(message, { delay: 0 })
+
+        if (getAlertStatus(bossData) === 'available' && !availableAnnounced.has(messageId)) {
+          availableAnnounced.add(messageId)
+          eventStream.publish('boss-available', {
+            messageId,
+            channelId: getAlertChannelId(messageId),
+            monster: bossData.monster,
+            respawnTime: calculateRespawnTime(bossData)?.toISOString() || null,
+            counts: getParticipationCounts(participationInfo)
+          })
+        }
 
       } catch (error) {
         console.error(`❌ Error updating message ${messageId}:`, error.message)
@@ -178,13 +440,133 @@ function startPeriodicRespawnTimeUpdates() {
         console.log(`🗑️ Removing old boss message ${messageId} for ${bossData.monster}`)
         messageBossData.delete(messageId)
         participationData.delete(messageId)
+        availableAnnounced.delete(messageId)
+        await saveTrackedMessages()
+        eventStream.publish('alert-expired', { messageId, monster: bossData.monster, reason: 'aged-out' })
       }
     }
 
+    // Keep each channel's pinned boss board in step
+    await bossBoard.refresh(alertRouter.getAllChannelIds())
+
   }, 2 * 60 * 1000) // Update every 2 minutes
 }
 
-// Handle reaction additions
+// Boss board rows for a channel: its tracked alerts, plus scheduled bosses routed there without one
+function getBoardRows(channelId) {
+  const rows = []
+  const alertedKeys = new Set()
+  const guildId = discordClient?.channels.cache.get(channelId)?.guildId
+
+  const toRow = (boss, extra) => {
+    const respawnAt = calculateRespawnTime(boss)
+    return {
+      monster: boss.monster,
+      location: boss.location || boss.name || null,
+      points: boss.points,
+      respawnAt: respawnAt && !isNaN(respawnAt.getTime()) ? respawnAt : null,
+      countdown: formatRespawnTime(boss),
+      ...extra
+    }
+  }
+
+  for (const [messageId, bossData] of messageBossData.entries()) {
+    if (getAlertChannelId(messageId) !== channelId) continue
+    alertedKeys.add(getScheduleKey(bossData))
+    rows.push(toRow(bossData, {
+      signUps: participationData.get(messageId)?.participating.size || 0,
+      url: guildId ? `https://discord.com/channels/${guildId}/${channelId}/${messageId}` : null
+    }))
+  }
+
+  for (const entry of bossScheduler.list()) {
+    if (alertedKeys.has(entry.key)) continue
+    if (!alertRouter.resolveChannels(entry.boss).includes(channelId)) continue
+    rows.push(toRow(entry.boss, { signUps: null, url: null }))
+  }
+
+  return rows
+}
+
+// Fetch every user who reacted with a given reaction (paginated, 100 per page)
+async function fetchAllReactionUsers(reaction) {
+  const users = new Map()
+  let after
+
+  while (true) {
+    const page = await reaction.users.fetch({ limit: 100, after })
+    for (const [userId, user] of page) {
+      users.set(userId, user)
+    }
+    if (page.size < 100) {
+      break
+    }
+    after = page.lastKey()
+  }
+
+  return users
+}
+
+// Rebuild participation for recent boss alerts from the reactions members can actually see
+async function rebuildParticipationFromReactions() {
+  const limit = Math.min(parseInt(process.env.RECONCILE_MESSAGE_LIMIT, 10) || 50, 100)
+  let rebuiltCount = 0
+
+  for (const channelId of alertRouter.getAllChannelIds()) {
+    try {
+      const channel = await discordClient.channels.fetch(channelId).catch(() => null)
+      if (!channel) {
+        console.log(`⚠️ Could not fetch channel ${channelId}, skipping reaction rebuild`)
+        continue
+      }
+
+      console.log(`🔁 Rebuilding participation from reactions on the last ${limit} messages in ${channelId}...`)
+      const messages = await channel.messages.fetch({ limit })
+
+      for (const message of messages.values()) {
+        // Only our own boss alerts carry participation reactions
+        if (message.author.id !== discordClient.user.id) continue
+        if (!message.embeds[0]?.title?.startsWith('🔥 Boss Alert')) continue
+        // Alerts with participation buttons have no reactions to rebuild from - storage has their state
+        if (!message.reactions.cache.some(reaction => reaction.emoji.name === '✅' || reaction.emoji.name === '❌')) continue
+
+        try {
+          const data = createParticipationRecord()
+
+          const participateReaction = message.reactions.cache.find(reaction => reaction.emoji.name === '✅')
+          if (participateReaction) {
+            const users = await fetchAllReactionUsers(participateReaction)
+            for (const [userId, user] of users) {
+              if (!user.bot) data.participating.add(userId)
+            }
+          }
+
+          const skipReaction = message.reactions.cache.find(reaction => reaction.emoji.name === '❌')
+          if (skipReaction) {
+            const users = await fetchAllReactionUsers(skipReaction)
+            for (const [userId, user] of users) {
+              // Reaction order is unknown, so anyone who reacted with both counts as participating
+              if (!user.bot && !data.participating.has(userId)) data.notParticipating.add(userId)
+            }
+          }
+
+          participationData.set(message.id, data)
+          await updateParticipationEmbed(message, data)
+          rebuiltCount++
+        } catch (error) {
+          console.error(`❌ Error rebuilding participation for message ${message.id}:`, error.message)
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Failed to rebuild participation from reactions in ${channelId}:`, error.message)
+    }
+  }
+
+  await saveTrackedMessages()
+  console.log(`✅ Rebuilt participation for ${rebuiltCount} boss messages from reactions`)
+}
+
+// Handle reaction additions (alerts posted before participation buttons)
 async function handleReactionAdd(reaction, user) {
   try {
     console.log(`👆 Reaction added: ${reaction.emoji.name} by ${user.username}`)
@@ -201,17 +583,21 @@ async function handleReactionAdd(reaction, user) {
       return
     }
 
+    // The bot can see reactions in every channel of every guild - only count boss alerts
+    if (!messageBossData.has(messageId) && !participationData.has(messageId)) {
+      console.log(`❌ Ignoring reaction on message ${messageId} (not a boss alert)`)
+      return
+    }
+
     if (!participationData.has(messageId)) {
       console.log(`📝 Creating new participation data for message ${messageId}`)
-      participationData.set(messageId, {
-        participating: new Set(),
-        notParticipating: new Set()
-      })
+      participationData.set(messageId, createParticipationRecord())
     }
 
     const data = participationData.get(messageId)
     console.log(`📊 Before update - Participating: ${data.participating.size}, Not participating: ${data.notParticipating.size}`)
 
+    data.maybe.delete(user.id)
     if (emoji === '✅') {
       data.notParticipating.delete(user.id)
       data.participating.add(user.id)
@@ -224,7 +610,9 @@ async function handleReactionAdd(reaction, user) {
 
     console.log(`📊 After update - Participating: ${data.participating.size}, Not participating: ${data.notParticipating.size}`)
 
-    await updateParticipationEmbed(reaction.message, data)
+    await saveTrackedMessages()
+    publishParticipationChange(messageId, user.id, emoji === '✅' ? 'participating' : 'notParticipating')
+    queueParticipationEmbedUpdate(reaction.message)
   } catch (error) {
     console.error('Error handling reaction add:', error)
     console.error('Error details:', error.message)
@@ -266,98 +654,133 @@ async function handleReactionRemove(reaction, user) {
 
     console.log(`📊 After removal - Participating: ${data.participating.size}, Not participating: ${data.notParticipating.size}`)
 
-    await updateParticipationEmbed(reaction.message, data)
+    await saveTrackedMessages()
+    publishParticipationChange(messageId, user.id, null)
+    queueParticipationEmbedUpdate(reaction.message)
   } catch (error) {
     console.error('Error handling reaction remove:', error)
     console.error('Error details:', error.message)
   }
 }
 
+// Resolve a Discord user's display name, falling back to their ID
+async function fetchDisplayName(userId, guildId = null) {
+  try {
+    return await nameCache.get(guildId ? `${guildId}:${userId}` : userId)
+  } catch (error) {
+    return `User ${userId}`
+  }
+}
+
+// Resolve display names for a set of user IDs (cached names come back without a request)
+async function fetchDisplayNames(userIds, guildId = null) {
+  return Promise.all([...userIds].map(userId => fetchDisplayName(userId, guildId)))
+}
+
+// Resolve every sign-up list of an alert to { section: [name] }
+async function fetchRosterNames(participationData, guildId = null) {
+  const names = {}
+  for (const section of ROSTER_SECTIONS) {
+    names[section.key] = await fetchDisplayNames(participationData[section.key], guildId)
+  }
+  return names
+}
+
+// Quick stats text for an alert embed
+function formatParticipationStats(participationData) {
+  const participatingCount = participationData.participating.size
+  const totalResponses = participatingCount + participationData.notParticipating.size + participationData.maybe.size
+  const participationRate = totalResponses > 0 ? Math.round((participatingCount / totalResponses) * 100) : 0
+  return `**Total Responses:** ${totalResponses}\n**Participation Rate:** ${participationRate}%`
+}
+
+// A member's party role from /profile class or their Discord roles, or null
+async function fetchPartyRole(userId, guildId = null) {
+  const profileClass = userSettings.get(userId).partyClass
+  let roleIds = []
+  if (!findPartyRole(partyRoles, profileClass) && guildId && partyRoles.some(role => role.roleId)) {
+    // discord.js caches members, so this rarely needs a request once the name was resolved
+    const guild = discordClient.guilds.cache.get(guildId)
+    const member = await guild?.members.fetch(userId).catch(() => null)
+    roleIds = member ? [...member.roles.cache.keys()] : []
+  }
+  return resolvePartyRole(partyRoles, { profileClass, roleIds })
+}
+
+// Build the participation list fields (by guild nickname) and quick stats text for an alert embed
+// Once members have party roles (or the alert requires a composition) participants are grouped by role
+async function buildParticipationStatus(participationData, guildId = null, { maxFields = 15, maxChars = 4000 } = {}, composition = null) {
+  const names = await fetchRosterNames(participationData, guildId)
+  const statsValue = formatParticipationStats(participationData)
+
+  const roles = await Promise.all([...participationData.participating].map(userId => fetchPartyRole(userId, guildId)))
+  if (!composition && !roles.some(Boolean)) {
+    return { participationFields: buildRosterFields(names, { maxFields, maxChars }), statsValue }
+  }
+
+  const counts = {}
+  for (const role of roles) {
+    counts[role || UNASSIGNED_ROLE] = (counts[role || UNASSIGNED_ROLE] || 0) + 1
+  }
+  const compositionField = buildCompositionField(counts, composition, partyRoles)
+  const groups = groupByPartyRole(names.participating.map((name, index) => ({ name, role: roles[index] })), partyRoles)
+  return {
+    participationFields: [
+      compositionField,
+      ...buildRosterFields(names, {
+        maxFields: maxFields - 1,
+        maxChars: maxChars - compositionField.name.length - compositionField.value.length,
+        groups: groups.length > 0 ? groups : null
+      })
+    ],
+    statsValue
+  }
+}
+
 // Update participation embed with enhanced status display
+// Returns whether the message was edited
 async function updateParticipationEmbed(message, participationData) {
   try {
     const embed = message.embeds[0]
     if (!embed) {
       console.error('No embed found in message')
-      return
+      return false
     }
 
     const participatingCount = participationData.participating.size
     const notParticipatingCount = participationData.notParticipating.size
-    const totalResponses = participatingCount + notParticipatingCount
-    const participationRate = totalResponses > 0 ? Math.round((participatingCount / totalResponses) * 100) : 0
-
-    // Get usernames for participants (if available)
-    let participatingUsers = []
-    let notParticipatingUsers = []
-
-    try {
-      // Fetch user information for display names
-      for (const userId of participationData.participating) {
-        try {
-          const user = await discordClient.users.fetch(userId)
-          participatingUsers.push(user.displayName || user.username)
-        } catch (err) {
-          participatingUsers.push(`User ${userId}`)
-        }
-      }
-
-      for (const userId of participationData.notParticipating) {
-        try {
-          const user = await discordClient.users.fetch(userId)
-          notParticipatingUsers.push(user.displayName || user.username)
-        } catch (err) {
-          notParticipatingUsers.push(`User ${userId}`)
-        }
-      }
-    } catch (error) {
-      console.log('Could not fetch user details, showing counts only')
-    }
-
-    // Create participation status display
-    let participationValue = `✅ **Participating (${participatingCount}):**\n`
-    if (participatingUsers.length > 0) {
-      participationValue += participatingUsers.slice(0, 10).join(', ')
-      if (participatingUsers.length > 10) {
-        participationValue += ` and ${participatingUsers.length - 10} more...`
-      }
-    } else {
-      participationValue += '*No one yet*'
-    }
-
-    participationValue += `\n\n❌ **Not Participating (${notParticipatingCount}):**\n`
-    if (notParticipatingUsers.length > 0) {
-      participationValue += notParticipatingUsers.slice(0, 10).join(', ')
-      if (notParticipatingUsers.length > 10) {
-        participationValue += ` and ${notParticipatingUsers.length - 10} more...`
-      }
-    } else {
-      participationValue += '*No one yet*'
-    }
+    // Get the stored boss data for this message - it wins over what the embed shows,
+    // so edits to the alert (see PATCH /api/boss-alerts) are rendered
+    const storedBossData = messageBossData.get(message.id)
+    const { participationFields, statsValue } = await buildParticipationStatus(participationData, message.guildId, {}, storedBossData?.composition)
 
     // Rebuild the embed completely to ensure all fields are preserved
     const updatedEmbed = new EmbedBuilder()
-      .setTitle(embed.title)
+      .setTitle(storedBossData ? `🔥 Boss Alert: ${storedBossData.name || storedBossData.monster}` : embed.title)
       .setColor(embed.color)
       .setDescription(embed.description)
-      .setFooter({ text: embed.footer?.text || 'React with ✅ to participate or ❌ to skip this boss • Updates in real-time' })
+      .setFooter({ text: embed.footer?.text || PARTICIPATION_FOOTER })
       .setTimestamp()
 
     // Set thumbnail if it exists
-    if (embed.thumbnail?.url) {
-      updatedEmbed.setThumbnail(embed.thumbnail.url)
+    const thumbnailUrl = storedBossData?.image_url || embed.thumbnail?.url
+    if (thumbnailUrl) {
+      updatedEmbed.setThumbnail(thumbnailUrl)
     }
 
     // Add all the original fields (boss info) with updated respawn time
     if (embed.fields && embed.fields.length >= 2) {
       console.log(`📋 Preserving ${embed.fields.length} original fields`)
 
-      // Get the stored boss data for this message to recalculate respawn time
-      const storedBossData = messageBossData.get(message.id)
-
       // Add boss name field
       const bossNameField = embed.fields.find(field => field.name === '👹 Boss Name')
-      if (bossNameField) {
+      if (storedBossData) {
+        updatedEmbed.addFields({
+          name: '👹 Boss Name',
+          value: storedBossData.monster || 'Unknown Boss',
+          inline: true
+        })
+      } else if (bossNameField) {
         updatedEmbed.addFields({
           name: bossNameField.name,
           value: bossNameField.value,
@@ -390,9 +813,53 @@ async function updateParticipationEmbed(message, participationData) {
         inline: true
       })
 
+      // Add schedule field if it exists
+      const scheduleField = embed.fields.find(field => field.name === '🗓️ Schedule')
+      if (storedBossData) {
+        if (storedBossData.respawn_schedule) {
+          updatedEmbed.addFields({
+            name: '🗓️ Schedule',
+            value: describeRespawnSchedule(storedBossData.respawn_schedule, DISPLAY_TIMEZONE),
+            inline: true
+          })
+        }
+      } else if (scheduleField) {
+        updatedEmbed.addFields({
+          name: scheduleField.name,
+          value: scheduleField.value,
+          inline: scheduleField.inline || false
+        })
+      }
+
+      // Add location field if it exists
+      const locationField = embed.fields.find(field => field.name === '📍 Location')
+      if (storedBossData) {
+        if (storedBossData.location) {
+          updatedEmbed.addFields({
+            name: '📍 Location',
+            value: String(storedBossData.location),
+            inline: true
+          })
+        }
+      } else if (locationField) {
+        updatedEmbed.addFields({
+          name: locationField.name,
+          value: locationField.value,
+          inline: locationField.inline || false
+        })
+      }
+
       // Add points field if it exists
       const pointsField = embed.fields.find(field => field.name === '💰 Points')
-      if (pointsField) {
+      if (storedBossData) {
+        if (storedBossData.points !== undefined && storedBossData.points !== null && storedBossData.points !== '') {
+          updatedEmbed.addFields({
+            name: '💰 Points',
+            value: String(storedBossData.points),
+            inline: true
+          })
+        }
+      } else if (pointsField) {
         updatedEmbed.addFields({
           name: pointsField.name,
           value: pointsField.value,
@@ -402,7 +869,15 @@ async function updateParticipationEmbed(message, participationData) {
 
       // Add notes field if it exists
       const notesField = embed.fields.find(field => field.name === '📝 Notes')
-      if (notesField) {
+      if (storedBossData) {
+        if (storedBossData.notes) {
+          updatedEmbed.addFields({
+            name: '📝 Notes',
+            value: String(storedBossData.notes),
+            inline: false
+          })
+        }
+      } else if (notesField) {
         updatedEmbed.addFields({
           name: notesField.name,
           value: notesField.value,
@@ -415,14 +890,10 @@ async function updateParticipationEmbed(message, participationData) {
 
     // Add the updated participation fields
     updatedEmbed.addFields(
-      {
-        name: '👥 Participation Status',
-        value: participationValue,
-        inline: false
-      },
+      ...participationFields,
       {
         name: '📊 Quick Stats',
-        value: `**Total Responses:** ${totalResponses}\n**Participation Rate:** ${participationRate}%`,
+        value: statsValue,
         inline: false
       }
     )
@@ -432,47 +903,79 @@ async function updateParticipationEmbed(message, participationData) {
     await message.edit({ embeds: [updatedEmbed] })
 
     console.log(`📊 Updated participation: ${participatingCount} participating, ${notParticipatingCount} not participating`)
+    return true
   } catch (error) {
+    // Let the edit queue back off and retry
+    if (isRateLimitError(error)) {
+      throw error
+    }
     console.error('Error updating participation embed:', error)
     console.error('Error details:', error.message)
+    return false
   }
 }
 
-// NEW: Website-exact calculation function with Philippines timezone
+// Queue a re-render of an alert; rapid changes to the same alert are coalesced into one edit
+// Resolves to whether the message was edited
+async function queueParticipationEmbedUpdate(message, options) {
+  const edited = await editQueue.schedule(message.id, async () => {
+    // The alert may have been closed or cancelled while the edit was waiting
+    const data = participationData.get(message.id)
+    if (!data) return false
+    return updateParticipationEmbed(message, data)
+  }, options)
+  return edited === true
+}
+
+// NEW: Website-exact calculation function
 function calculateRespawnTimeWebsite(boss) {
   console.log('🌐 Website calculation for:', boss.monster)
   console.log('🕐 Server timezone:', Intl.DateTimeFormat().resolvedOptions().timeZone)
   
   // EXACT website logic from BossAlert.jsx and useBossMonitor.js
-  if (boss.respawn_time) {
-    const respawnDate = new Date(boss.respawn_time)
+  // The website sends times without an offset, in DISPLAY_TIMEZONE
+  const respawnDate = parsePayloadTime(boss.respawn_time, DISPLAY_TIMEZONE)
+  if (respawnDate) {
     const now = new Date()
     console.log('   respawn_time provided:', boss.respawn_time)
-    console.log('   parsed date (Manila):', respawnDate.toLocaleString('en-US', { timeZone: 'Asia/Manila' }))
-    console.log('   current time (Manila):', now.toLocaleString('en-US', { timeZone: 'Asia/Manila' }))
+    console.log(`   parsed date (${DISPLAY_TIMEZONE}):`, respawnDate.toLocaleString('en-US', { timeZone: DISPLAY_TIMEZONE }))
+    console.log(`   current time (${DISPLAY_TIMEZONE}):`, now.toLocaleString('en-US', { timeZone: DISPLAY_TIMEZONE }))
     console.log('   is future?', respawnDate.getTime() > now.getTime())
     
-    if (!isNaN(respawnDate.getTime()) && respawnDate.getTime() > now.getTime()) {
+    if (respawnDate.getTime() > now.getTime()) {
       return respawnDate
     }
   }
 
-  if (boss.time_of_death && boss.respawn_hours) {
-    const deathTime = new Date(boss.time_of_death)
+  // Fixed-schedule bosses are due at the occurrence their alert is pinned to, else the next one
+  if (boss.respawn_schedule) {
+    const scheduledRespawn = getScheduledRespawnTime(boss, new Date(), DISPLAY_TIMEZONE)
+    console.log(`   respawn_schedule: ${boss.respawn_schedule}`)
+    if (scheduledRespawn) {
+      return scheduledRespawn
+    }
+  }
+
+  // Bosses that spawn within a window are due from the moment it opens
+  const respawnWindow = getRespawnWindow(boss, DISPLAY_TIMEZONE)
+  if (respawnWindow) {
+    console.log(`   spawn window: ${boss.respawn_min_hours || 0}h-${boss.respawn_max_hours}h after ${boss.time_of_death}`)
+    return respawnWindow.start
+  }
+
+  const deathTime = parsePayloadTime(boss.time_of_death, DISPLAY_TIMEZONE)
+  if (deathTime && boss.respawn_hours) {
     console.log('   time_of_death:', boss.time_of_death)
     console.log('   respawn_hours:', boss.respawn_hours)
-    console.log('   death time (Manila):', deathTime.toLocaleString('en-US', { timeZone: 'Asia/Manila' }))
+    console.log(`   death time (${DISPLAY_TIMEZONE}):`, deathTime.toLocaleString('en-US', { timeZone: DISPLAY_TIMEZONE }))
     
-    if (!isNaN(deathTime.getTime())) {
-      const respawnTime = new Date(deathTime.getTime() + (boss.respawn_hours * 60 * 60 * 1000))
-      console.log('   calculated respawn (Manila):', respawnTime.toLocaleString('en-US', { timeZone: 'Asia/Manila' }))
-      return respawnTime
-    }
+    const respawnTime = new Date(deathTime.getTime() + (boss.respawn_hours * 60 * 60 * 1000))
+    console.log(`   calculated respawn (${DISPLAY_TIMEZONE}):`, respawnTime.toLocaleString('en-US', { timeZone: DISPLAY_TIMEZONE }))
+    return respawnTime
   }
 
-  if (boss.respawn_time) {
-    const respawnDate = new Date(boss.respawn_time)
-    console.log('   fallback to respawn_time (Manila):', respawnDate.toLocaleString('en-US', { timeZone: 'Asia/Manila' }))
+  if (respawnDate) {
+    console.log(`   fallback to respawn_time (${DISPLAY_TIMEZONE}):`, respawnDate.toLocaleString('en-US', { timeZone: DISPLAY_TIMEZONE }))
     return respawnDate
   }
 
@@ -485,15 +988,38 @@ function calculateRespawnTime(boss) {
   return calculateRespawnTimeWebsite(boss)
 }
 
+// The spawn window a boss is in, unless a future respawn_time pins it to an exact time
+function getActiveRespawnWindow(boss, now = new Date()) {
+  const respawnDate = parsePayloadTime(boss.respawn_time, DISPLAY_TIMEZONE)
+  if (respawnDate && respawnDate.getTime() > now.getTime()) {
+    return null
+  }
+  return getRespawnWindow(boss, DISPLAY_TIMEZONE)
+}
+
 // Helper function to format respawn time (same logic as website)
+// Bosses with a spawn window read "Spawns in 2h 0m–4h 0m"
 function formatRespawnTime(boss) {
+  const now = new Date()
+  const respawnWindow = getActiveRespawnWindow(boss, now)
+  if (respawnWindow) {
+    const untilStart = respawnWindow.start.getTime() - now.getTime()
+    const untilEnd = respawnWindow.end.getTime() - now.getTime()
+    if (untilStart > 0) {
+      return `Spawns in ${formatCountdown(untilStart)}–${formatCountdown(untilEnd)}`
+    }
+    if (untilEnd > 0) {
+      return `Spawn window open (closes in ${formatCountdown(untilEnd)})`
+    }
+    return 'Available Now!'
+  }
+
   const respawnDate = calculateRespawnTime(boss)
 
   if (!respawnDate || isNaN(respawnDate.getTime())) {
     return 'Unknown'
   }
 
-  const now = new Date()
   const diffInMs = respawnDate.getTime() - now.getTime()
 
   // If the time has passed (boss is available now)
@@ -501,6 +1027,11 @@ function formatRespawnTime(boss) {
     return 'Available Now!'
   }
 
+  return formatCountdown(diffInMs)
+}
+
+// Time left as "1d 2h", "3h 20m", "15m" or "40s"
+function formatCountdown(diffInMs) {
   const diffInSeconds = Math.floor(diffInMs / 1000)
   const diffInMinutes = Math.floor(diffInSeconds / 60)
   const diffInHours = Math.floor(diffInMinutes / 60)
@@ -517,43 +1048,32 @@ function formatRespawnTime(boss) {
   }
 }
 
-// Helper function to format date for Discord (Philippines timezone)
+// Helper function to format date for Discord
+// Discord timestamps render in each reader's own timezone
 function formatDiscordDate(boss) {
+  const respawnWindow = getActiveRespawnWindow(boss)
+  if (respawnWindow) {
+    return `${formatDiscordTimestamp(respawnWindow.start, 'f')} – ${formatDiscordTimestamp(respawnWindow.end, 't')}\n${formatDiscordTimestamp(respawnWindow.start, 'R')}`
+  }
+
   const respawnDate = calculateRespawnTime(boss)
   if (!respawnDate || isNaN(respawnDate.getTime())) {
     return null
   }
 
-  // Use Philippines timezone for formatting (same as user's device)
-  try {
-    const formatted = respawnDate.toLocaleString('en-US', {
-      timeZone: 'Asia/Manila',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    })
-    
-    console.log(`📅 Date formatting (Philippines timezone):`)
-    console.log(`   Input UTC: ${respawnDate.toISOString()}`)
-    console.log(`   Manila time: ${respawnDate.toLocaleString('en-US', { timeZone: 'Asia/Manila' })}`)
-    console.log(`   Formatted: ${formatted}`)
-    console.log(`   Timezone: Asia/Manila (GMT+8)`)
-    
-    return formatted
-  } catch (error) {
-    console.error('Error formatting date:', error)
-    return respawnDate.toLocaleString('en-US', { timeZone: 'Asia/Manila' })
-  }
+  return `${formatDiscordTimestamp(respawnDate, 'F')}\n${formatDiscordTimestamp(respawnDate, 'R')}`
 }
 
+// Discord timestamp markup - renders in each reader's local time
+function formatDiscordTimestamp(date, style = 'f') {
+  return `<t:${Math.floor(date.getTime() / 1000)}:${style}>`
+}
+
+const PARTICIPATION_FOOTER = 'Join, skip or mark yourself late with the buttons below • Updates in real-time'
+
 // Create boss embed with participation status
 function createBossEmbed(bossData, participationData = null) {
-  const participatingCount = participationData ? participationData.participating.size : 0
-  const notParticipatingCount = participationData ? participationData.notParticipating.size : 0
-  const totalResponses = participatingCount + notParticipatingCount
-  const participationRate = totalResponses > 0 ? Math.round((participatingCount / totalResponses) * 100) : 0
+  const initialParticipation = participationData || createParticipationRecord()
 
   // Format time using website's logic
   const formattedTime = formatRespawnTime(bossData)
@@ -565,13 +1085,10 @@ function createBossEmbed(bossData, participationData = null) {
     timeValue += `\n${formattedDate}`
   }
 
-  // Create initial participation status display
-  const participationValue = `✅ **Participating (${participatingCount}):**\n*No one yet*\n\n❌ **Not Participating (${notParticipatingCount}):**\n*No one yet*`
-
   const embed = new EmbedBuilder()
     .setTitle(`🔥 Boss Alert: ${bossData.name || bossData.monster}`)
     .setColor(0xFF6B35)
-    .setDescription(`@here A boss is ready for hunting! React below to indicate your participation.`)
+    .setDescription(`A boss is ready for hunting! Use the buttons below to indicate your participation.`)
     .addFields(
       {
         name: '👹 Boss Name',
@@ -582,22 +1099,56 @@ function createBossEmbed(bossData, participationData = null) {
         name: '⏰ Respawn Time',
         value: timeValue,
         inline: true
-      },
+      }
+    )
 
+  if (bossData.respawn_schedule) {
+    embed.addFields({
+      name: '🗓️ Schedule',
+      value: describeRespawnSchedule(bossData.respawn_schedule, DISPLAY_TIMEZONE),
+      inline: true
+    })
+  }
 
-      {
-        name: '👥 Participation Status',
-        value: participationValue,
-        inline: false
-      },
+  if (bossData.location) {
+    embed.addFields({
+      name: '📍 Location',
+      value: String(bossData.location),
+      inline: true
+    })
+  }
+
+  if (bossData.points !== undefined && bossData.points !== null && bossData.points !== '') {
+    embed.addFields({
+      name: '💰 Points',
+      value: String(bossData.points),
+      inline: true
+    })
+  }
+
+  if (bossData.notes) {
+    embed.addFields({
+      name: '📝 Notes',
+      value: String(bossData.notes),
+      inline: false
+    })
+  }
+
+  // New alerts start with empty sign-up lists - names are filled in by updateParticipationEmbed
+  if (bossData.composition) {
+    embed.addFields(buildCompositionField({}, bossData.composition, partyRoles))
+  }
+  embed
+    .addFields(
+      ...buildRosterFields({}),
       {
         name: '📊 Quick Stats',
-        value: `**Total Responses:** ${totalResponses}\n**Participation Rate:** ${participationRate}%`,
+        value: formatParticipationStats(initialParticipation),
         inline: false
       }
     )
     .setFooter({
-      text: 'React with ✅ to participate or ❌ to skip this boss • Updates in real-time'
+      text: PARTICIPATION_FOOTER
     })
     .setTimestamp()
 
@@ -608,47 +1159,1596 @@ function createBossEmbed(bossData, participationData = null) {
   return embed
 }
 
-// API Routes
-app.get('/api/status', (_, res) => {
-  res.json({
-    status: 'running',
-    discordConnected: isConnected,
-    botUser: discordClient?.user?.tag || null,
-    channelId: targetChannelId
-  })
-})
+// Ensure boss data has the required fields for time calculation
+function normalizeBossData(sentBossData) {
+  // Whatever the sender left out comes from the boss catalog
+  const bossData = bossCatalog ? bossCatalog.fill(sentBossData) : sentBossData
+  const processedBossData = {
+    ...bossData,
+    // Make sure we have the right field names for time calculation
+    monster: bossData.monster || bossData.name,
+    name: bossData.name || bossData.monster,
+    respawn_time: bossData.respawn_time,
+    time_of_death: bossData.time_of_death,
+    respawn_hours: bossData.respawn_hours,
+    respawn_min_hours: bossData.respawn_min_hours,
+    respawn_max_hours: bossData.respawn_max_hours,
+    respawn_schedule: bossData.respawn_schedule,
+    location: bossData.location,
+    points: bossData.points,
+    notes: bossData.notes,
+    image_url: bossData.image_url || bossData.display_image,
+    // Minimum participants per party role, e.g. { Healer: 2 } (see party.js)
+    composition: parseComposition(bossData.composition, partyRoles).composition || undefined
+  }
+  // Fixed-schedule alerts are pinned to the next occurrence, so they show "Available Now!" once it passes
+  if (processedBossData.respawn_schedule && !processedBossData.respawn_time) {
+    processedBossData.respawn_time = getNextScheduledRespawn(processedBossData, new Date(), DISPLAY_TIMEZONE)?.toISOString()
+  }
+  // The legacy client-side admin flag carries no authority, so don't keep it around
+  delete processedBossData.isAdmin
+  return processedBossData
+}
 
-app.post('/api/send-boss', async (req, res) => {
-  try {
-    const bossData = req.body
-    
-    // ENHANCED DEBUG LOGGING with Philippines timezone
-    console.log('🔍 DEBUGGING TIME CALCULATION (Philippines GMT+8):')
-    console.log('Raw boss data:', JSON.stringify(bossData, null, 2))
-    
-    const now = new Date()
-    console.log('Current time (UTC):', now.toISOString())
-    console.log('Current time (Manila):', now.toLocaleString('en-US', { timeZone: 'Asia/Manila' }))
-    console.log('Server timezone:', process.env.TZ || Intl.DateTimeFormat().resolvedOptions().timeZone)
-    
-    // Test calculation
-    const calculatedTime = calculateRespawnTime(bossData)
-    if (calculatedTime) {
-      console.log('Calculated respawn (UTC):', calculatedTime.toISOString())
-      console.log('Calculated respawn (Manila):', calculatedTime.toLocaleString('en-US', { timeZone: 'Asia/Manila' }))
-      
-      const diffMs = calculatedTime.getTime() - now.getTime()
-      console.log('Time difference (ms):', diffMs)
-      console.log('Time difference (seconds):', Math.floor(diffMs / 1000))
-      console.log('Formatted time:', formatRespawnTime(bossData))
-    }
-    
-    if (!isConnected || !discordClient) {
-      return res.status(503).json({
-        success: false,
-        error: 'Discord bot not connected'
-      })
-    }
+// Post a boss alert to every channel its routing rules select and start tracking it
+// Returns an array of { message, channel } - empty if no channel could be found
+async function postBossAlert(processedBossData) {
+  const posted = []
+
+  console.log(`📤 Sending boss notification for: ${processedBossData.monster}`)
+  console.log(`⏰ Formatted time: ${formatRespawnTime(processedBossData)}`)
+  console.log(`📅 Formatted date: ${formatDiscordDate(processedBossData)}`)
+  console.log(`🕐 Calculated respawn time: ${calculateRespawnTime(processedBossData)?.toISOString() || 'null'}`)
+
+  for (const channelId of alertRouter.resolveChannels(processedBossData)) {
+    const channel = await discordClient.channels.fetch(channelId).catch(() => null)
+    if (!channel) {
+      console.log(`⚠️ Could not fetch channel ${channelId}`)
+      continue
+    }
+
+    // Initialize participation data first
+    const initialParticipationData = createParticipationRecord()
+
+    const embed = createBossEmbed(processedBossData, initialParticipationData)
+    console.log(`📋 Embed has ${embed.data.fields?.length || 0} fields`)
+
+    // Mentions only notify from message content, not from the embed
+    const mentions = await subscriptionStore.buildAlertMentions(processedBossData, channel)
+    const message = await channel.send({
+      content: mentions.content,
+      allowedMentions: mentions.allowedMentions,
+      embeds: [embed],
+      components: createAlertButtons()
+    })
+
+    participationData.set(message.id, initialParticipationData)
+    // Store boss data (and where it was posted) for this message to enable respawn time updates.
+    // Every routed copy shares the first copy's ID as its kill ID, so the kill is credited once
+    const killId = posted[0]?.message.id || message.id
+    messageBossData.set(message.id, { ...processedBossData, channelId: channel.id, killId })
+    await saveTrackedMessages()
+
+    console.log(`✅ Boss notification sent successfully to ${channel.id}! Message ID: ${message.id}`)
+    posted.push({ message, channel })
+
+    eventStream.publish('alert-posted', {
+      messageId: message.id,
+      channelId: channel.id,
+      url: message.url,
+      boss: processedBossData,
+      respawnTime: calculateRespawnTime(processedBossData)?.toISOString() || null
+    })
+  }
+
+  return posted
+}
+
+// Mark a boss alert as cancelled in Discord (or delete it with remove) and stop tracking it
+// Returns false if the alert is not being tracked
+async function cancelBossAlert(messageId, { remove = false } = {}) {
+  const bossData = messageBossData.get(messageId)
+  if (!bossData) {
+    return false
+  }
+
+  const channelId = getAlertChannelId(messageId)
+  messageBossData.delete(messageId)
+  participationData.delete(messageId)
+  availableAnnounced.delete(messageId)
+  await saveTrackedMessages()
+
+  try {
+    const channel = await discordClient.channels.fetch(channelId)
+    const message = await channel.messages.fetch(messageId)
+    const embed = message.embeds[0]
+    if (remove) {
+      editQueue.cancel(messageId)
+      await message.delete()
+    } else if (embed) {
+      const cancelledEmbed = EmbedBuilder.from(embed)
+        .setTitle(`❌ Cancelled: ${bossData.name || bossData.monster}`)
+        .setColor(0x808080)
+        .setDescription('This boss alert has been cancelled.')
+        .setFooter({ text: 'This alert is no longer tracked' })
+        .setTimestamp()
+      // Through the queue so a pending participation edit can't overwrite it
+      await editQueue.schedule(messageId, () => message.edit({ embeds: [cancelledEmbed], components: [] }), { delay: 0 })
+    }
+  } catch (error) {
+    console.error(`⚠️ Could not mark message ${messageId} as cancelled:`, error.message)
+  }
+
+  console.log(`🗑️ ${remove ? 'Deleted' : 'Cancelled'} boss alert ${messageId} for ${bossData.monster}`)
+  eventStream.publish('alert-cancelled', { messageId, channelId, monster: bossData.monster, deleted: remove })
+  return true
+}
+
+// Tracked alerts for the same boss whose respawn time is within DEDUP_WINDOW_MINUTES of this one
+function findDuplicateAlerts(processedBossData) {
+  const windowMinutes = process.env.DEDUP_WINDOW_MINUTES !== undefined ? parseFloat(process.env.DEDUP_WINDOW_MINUTES) : 10
+  if (!(windowMinutes > 0)) {
+    return []
+  }
+
+  const bossKey = getScheduleKey(processedBossData)
+  const respawnTime = calculateRespawnTime(processedBossData)
+
+  return [...messageBossData.entries()]
+    .filter(([, bossData]) => {
+      if (getScheduleKey(bossData) !== bossKey) return false
+
+      const existingRespawnTime = calculateRespawnTime(bossData)
+      // Without respawn times all we can go on is the boss itself
+      if (!respawnTime || !existingRespawnTime) {
+        return !respawnTime && !existingRespawnTime
+      }
+      return Math.abs(existingRespawnTime.getTime() - respawnTime.getTime()) <= windowMinutes * 60 * 1000
+    })
+    .map(([messageId]) => messageId)
+}
+
+// Post a boss alert unless one is already up for the same boss and respawn time
+// onDuplicate "refresh" re-renders the existing alert with the new data
+// Resolves to { status, body } for the API response
+async function sendBossAlertOnce(processedBossData, { onDuplicate } = {}) {
+  return bossAlertLock.run(getScheduleKey(processedBossData), async () => {
+    const duplicateMessageIds = findDuplicateAlerts(processedBossData)
+    if (duplicateMessageIds.length > 0) {
+      console.log(`♻️ Duplicate alert for ${processedBossData.monster}, returning existing message ${duplicateMessageIds[0]}`)
+
+      if (onDuplicate === 'refresh') {
+        const changes = Object.fromEntries(EDITABLE_BOSS_FIELDS
+          .filter(field => processedBossData[field] !== undefined)
+          .map(field => [field, processedBossData[field]]))
+        const failedMessageIds = []
+        for (const messageId of duplicateMessageIds) {
+          if (!(await editBossAlert(messageId, changes))?.rendered) {
+            failedMessageIds.push(messageId)
+          }
+        }
+        if (failedMessageIds.length > 0) {
+          return {
+            status: 502,
+            body: {
+              success: false,
+              error: ALERT_RENDER_ERROR,
+              duplicate: true,
+              failedMessageIds
+            }
+          }
+        }
+      }
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          duplicate: true,
+          refreshed: onDuplicate === 'refresh',
+          messageId: duplicateMessageIds[0],
+          channelId: getAlertChannelId(duplicateMessageIds[0]),
+          messages: duplicateMessageIds.map(messageId => ({ messageId, channelId: getAlertChannelId(messageId) }))
+        }
+      }
+    }
+
+    const posted = await postBossAlert(processedBossData)
+    if (posted.length === 0) {
+      return {
+        status: 404,
+        body: {
+          success: false,
+          error: 'Discord channel not found'
+        }
+      }
+    }
+    const { message, channel } = posted[0]
+
+    // Bosses with a respawn timer get automatic alerts for their next cycles
+    if (hasRespawnTimer(processedBossData)) {
+      await bossScheduler.track(processedBossData, { messageId: message.id })
+    }
+
+    console.log(`📢 Boss notification sent: ${processedBossData.monster}`)
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        messageId: message.id,
+        channelId: channel.id,
+        // Every alert posted when routing sends this boss to several channels
+        messages: posted.map(({ message, channel }) => ({ messageId: message.id, channelId: channel.id }))
+      }
+    }
+  })
+}
+
+// Fields of a posted alert that can be corrected after it was sent
+const EDITABLE_BOSS_FIELDS = ['monster', 'name', 'respawn_time', 'time_of_death', 'respawn_hours', 'respawn_min_hours', 'respawn_max_hours', 'respawn_schedule', 'location', 'points', 'notes', 'image_url', 'composition']
+const TIMING_FIELDS = ['respawn_time', 'time_of_death', 'respawn_hours', 'respawn_min_hours', 'respawn_max_hours', 'respawn_schedule']
+const NUMERIC_BOSS_FIELDS = ['respawn_hours', 'respawn_min_hours', 'respawn_max_hours', 'points']
+// Longest value of each text field - notes end up in an embed field (1024 characters)
+const TEXT_BOSS_FIELD_LIMITS = { monster: 100, name: 100, location: 100, notes: 1024, image_url: 2048 }
+// Fields respawn_time is worked out from
+const RESPAWN_TIME_SOURCES = ['time_of_death', 'respawn_hours', 'respawn_min_hours', 'respawn_max_hours']
+const ALERT_RENDER_ERROR = 'The alert was saved but its Discord message could not be updated'
+
+// Check alert edits, returning an error message or null if they are valid
+function validateBossAlertChanges(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return 'Request body must be an object of fields to change'
+  }
+
+  const fields = Object.keys(changes).filter(field => EDITABLE_BOSS_FIELDS.includes(field))
+  if (fields.length === 0) {
+    return `Nothing to change - editable fields are ${EDITABLE_BOSS_FIELDS.join(', ')}`
+  }
+
+  for (const field of ['respawn_time', 'time_of_death']) {
+    if (changes[field] && !parsePayloadTime(changes[field], DISPLAY_TIMEZONE)) {
+      return `${field} must be a valid date`
+    }
+  }
+  for (const field of NUMERIC_BOSS_FIELDS) {
+    if (changes[field] !== undefined && changes[field] !== null && (isNaN(Number(changes[field])) || Number(changes[field]) < 0)) {
+      return `${field} must be a non-negative number`
+    }
+  }
+  if (changes.monster === null || changes.monster === '') {
+    return 'monster cannot be empty'
+  }
+  for (const [field, limit] of Object.entries(TEXT_BOSS_FIELD_LIMITS)) {
+    if (changes[field] === undefined || changes[field] === null) continue
+    if (typeof changes[field] !== 'string') {
+      return `${field} must be a string`
+    }
+    if (changes[field].length > limit) {
+      return `${field} must be at most ${limit} characters`
+    }
+  }
+  if (changes.composition) {
+    const { error } = parseComposition(changes.composition, partyRoles)
+    if (error) {
+      return error
+    }
+  }
+  if (changes.respawn_schedule) {
+    const { error } = parseRespawnSchedule(changes.respawn_schedule)
+    if (error) {
+      return error
+    }
+  }
+
+  return null
+}
+
+// Apply edits to a tracked alert and re-render it - null removes a field
+// Returns { bossData, rendered } - rendered is false if the Discord message could not be
+// updated - or null if the alert is not tracked
+async function editBossAlert(messageId, changes) {
+  const bossData = messageBossData.get(messageId)
+  if (!bossData) {
+    return null
+  }
+
+  // A fixed respawn_hours, a spawn window and a fixed schedule replace each other
+  const respawnRules = [['respawn_hours'], ['respawn_min_hours', 'respawn_max_hours'], ['respawn_schedule']]
+  const newRule = respawnRules.find(fields => fields.some(field => changes[field]))
+  for (const fields of respawnRules) {
+    if (newRule && fields !== newRule) {
+      fields.forEach(field => delete bossData[field])
+    }
+  }
+
+  // respawn_time is worked out from the death time and respawn rule, and takes priority
+  // over both - a change to either without a new respawn_time would leave it stale
+  if (!('respawn_time' in changes) && RESPAWN_TIME_SOURCES.some(field => field in changes)) {
+    delete bossData.respawn_time
+  }
+
+  for (const field of EDITABLE_BOSS_FIELDS) {
+    if (!(field in changes)) continue
+    const value = field === 'composition' ? parseComposition(changes[field], partyRoles).composition : changes[field]
+    if (value === null) {
+      delete bossData[field]
+    } else {
+      bossData[field] = NUMERIC_BOSS_FIELDS.includes(field) ? Number(value) : value
+    }
+  }
+  // A new schedule moves the alert to its next occurrence, unless a respawn_time was sent with it
+  if (changes.respawn_schedule && !('respawn_time' in changes)) {
+    bossData.respawn_time = getNextScheduledRespawn(bossData, new Date(), DISPLAY_TIMEZONE)?.toISOString()
+  }
+  await saveTrackedMessages()
+
+  // A corrected respawn time re-arms the scheduled alerts
+  const timingChanged = TIMING_FIELDS.some(field => field in changes)
+  if (timingChanged && (hasRespawnTimer(bossData) || bossScheduler.find(bossData.monster))) {
+    await bossScheduler.track(toBossDefinition(bossData), { messageId })
+  }
+
+  const channel = await discordClient.channels.fetch(getAlertChannelId(messageId)).catch(() => null)
+  const message = await channel?.messages.fetch(messageId).catch(() => null)
+  let rendered = false
+  if (message) {
+    if (!participationData.has(messageId)) {
+      participationData.set(messageId, createParticipationRecord())
+    }
+    rendered = await queueParticipationEmbedUpdate(message, { delay: 0 })
+  } else {
+    console.log(`⚠️ Could not fetch message ${messageId} to re-render it`)
+  }
+
+  console.log(`✏️ Edited boss alert ${messageId} for ${bossData.monster}: ${Object.keys(changes).join(', ')}`)
+  availableAnnounced.delete(messageId)
+  eventStream.publish('alert-updated', {
+    messageId,
+    boss: toBossDefinition(bossData),
+    respawnTime: calculateRespawnTime(bossData)?.toISOString() || null
+  })
+  return { bossData, rendered }
+}
+
+// Buttons shown under every active boss alert
+function createAlertButtons() {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('participation:join')
+        .setLabel('Join')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId('participation:maybe')
+        .setLabel('Maybe / Late')
+        .setEmoji('⏰')
+        .setStyle(ButtonStyle.Primary),
+      new ButtonBuilder()
+        .setCustomId('participation:skip')
+        .setLabel('Skip')
+        .setEmoji('❌')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId('participation:roster')
+        .setLabel("Who's in?")
+        .setEmoji('👥')
+        .setStyle(ButtonStyle.Secondary)
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('participation:export')
+        .setLabel('Export roster')
+        .setEmoji('📋')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId('boss-killed')
+        .setLabel('Killed')
+        .setEmoji('☠️')
+        .setStyle(ButtonStyle.Danger)
+    )
+  ]
+}
+
+// Re-arm the boss's scheduled alerts after a kill, scheduling it if it wasn't yet
+async function scheduleNextCycle(bossData, timeOfDeath) {
+  const rescheduled = await bossScheduler.recordDeath(bossData.monster, timeOfDeath)
+  if (rescheduled) {
+    return rescheduled
+  }
+  if (hasRespawnTimer(bossData)) {
+    return bossScheduler.track({ ...toBossDefinition(bossData), time_of_death: timeOfDeath.toISOString() })
+  }
+  return null
+}
+
+// Close a boss alert because the boss was killed
+// Stamps the time of death, shows final attendance and schedules the next cycle
+// Returns false if the alert is not being tracked
+async function closeBossAlert(messageId, timeOfDeath, killedBy = null) {
+  const bossData = messageBossData.get(messageId)
+  if (!bossData) {
+    return false
+  }
+  const finalParticipation = participationData.get(messageId) || createParticipationRecord()
+
+  bossData.time_of_death = timeOfDeath.toISOString()
+  // A stale respawn_time would take priority over the new death time
+  delete bossData.respawn_time
+  bossData.status = 'killed'
+
+  // The alert is finished - stop refreshing it
+  const channelId = getAlertChannelId(messageId)
+  messageBossData.delete(messageId)
+  participationData.delete(messageId)
+  availableAnnounced.delete(messageId)
+  await saveTrackedMessages()
+
+  // Credit everyone who signed up with the boss's points. The ledger entry is the
+  // closed alert's record: kill time, who recorded it and the final sign-ups
+  await pointsLedger.recordKill({
+    messageId,
+    killId: bossData.killId,
+    guildId: discordClient?.channels.cache.get(channelId)?.guildId || null,
+    boss: bossData,
+    killedAt: timeOfDeath,
+    killedBy,
+    participation: finalParticipation
+  })
+
+  await scheduleNextCycle(bossData, timeOfDeath)
+  const nextRespawn = hasRespawnTimer(bossData) ? calculateRespawnTime(bossData) : null
+
+  try {
+    const channel = await discordClient.channels.fetch(channelId)
+    const message = await channel.messages.fetch(messageId)
+    const { participationFields, statsValue } = await buildParticipationStatus(finalParticipation, channel.guildId, {}, bossData.composition)
+
+    const killedEmbed = new EmbedBuilder()
+      .setTitle(`☠️ Killed: ${bossData.name || bossData.monster}`)
+      .setColor(0x8B0000)
+      .setDescription(`**${bossData.monster}** was killed${killedBy ? ` (recorded by ${killedBy})` : ''}. Thanks to everyone who joined!`)
+      .addFields(
+        {
+          name: '👹 Boss Name',
+          value: bossData.monster || 'Unknown Boss',
+          inline: true
+        },
+        {
+          name: '☠️ Killed At',
+          value: formatDiscordTimestamp(timeOfDeath, 'f'),
+          inline: true
+        }
+      )
+      .setFooter({ text: 'This alert is closed' })
+      .setTimestamp()
+
+    if (nextRespawn) {
+      killedEmbed.addFields({
+        name: '🔄 Next Respawn',
+        value: getActiveRespawnWindow(bossData)
+          ? formatDiscordDate(bossData)
+          : `${formatDiscordTimestamp(nextRespawn, 'f')}\n${formatDiscordTimestamp(nextRespawn, 'R')}`,
+        inline: true
+      })
+    }
+
+    if (bossData.points) {
+      killedEmbed.addFields({
+        name: '💰 Points',
+        value: String(bossData.points),
+        inline: true
+      })
+    }
+
+    // Final attendance
+    killedEmbed.addFields(
+      ...participationFields,
+      {
+        name: '📊 Quick Stats',
+        value: statsValue,
+        inline: false
+      }
+    )
+
+    if (bossData.image_url) {
+      killedEmbed.setThumbnail(bossData.image_url)
+    }
+
+    // Through the queue so a pending participation edit can't overwrite it
+    await editQueue.schedule(messageId, () => message.edit({ embeds: [killedEmbed], components: [] }), { delay: 0 })
+  } catch (error) {
+    console.error(`⚠️ Could not mark message ${messageId} as killed:`, error.message)
+  }
+
+  console.log(`☠️ Closed boss alert ${messageId} for ${bossData.monster} (killed at ${bossData.time_of_death})`)
+  eventStream.publish('alert-killed', {
+    messageId,
+    channelId,
+    monster: bossData.monster,
+    killedAt: bossData.time_of_death,
+    killedBy,
+    nextRespawn: nextRespawn ? nextRespawn.toISOString() : null,
+    participating: [...finalParticipation.participating]
+  })
+  return true
+}
+
+// Record a boss death: close every tracked alert for that monster and re-arm its schedule
+// Returns the IDs of the alerts that were closed
+async function recordBossDeath(typedMonster, timeOfDeath, killedBy = null) {
+  // Aliases close the alerts of the catalogued boss
+  const monster = bossCatalog.resolveName(typedMonster.trim())
+  const wantedName = monster.toLowerCase()
+  const matchingMessageIds = [...messageBossData.entries()]
+    .filter(([, bossData]) => (bossData.monster || '').toLowerCase() === wantedName)
+    .map(([messageId]) => messageId)
+
+  const closedMessageIds = []
+  for (const messageId of matchingMessageIds) {
+    if (await closeBossAlert(messageId, timeOfDeath, killedBy)) {
+      closedMessageIds.push(messageId)
+    }
+  }
+
+  if (closedMessageIds.length === 0) {
+    // No alert is up, but a scheduled boss still needs its next cycle
+    await bossScheduler.recordDeath(monster, timeOfDeath)
+  }
+
+  console.log(`☠️ Recorded death of ${monster} at ${timeOfDeath.toISOString()} on ${closedMessageIds.length} alerts`)
+  return closedMessageIds
+}
+
+// Handle the "☠️ Killed" button on a boss alert
+async function handleKilledButton(interaction) {
+  if (!isOfficer(interaction)) {
+    console.log(`❌ ${interaction.user.username} tried to mark a boss killed without the officer role`)
+    return interaction.reply({ content: '❌ Only officers can record boss kills.', flags: MessageFlags.Ephemeral })
+  }
+
+  const messageId = interaction.message.id
+  const bossData = messageBossData.get(messageId)
+  if (!bossData) {
+    return interaction.reply({ content: '⚠️ This alert is no longer tracked.', flags: MessageFlags.Ephemeral })
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral })
+  await closeBossAlert(messageId, new Date(), interaction.member?.displayName || interaction.user.username)
+
+  const nextEntry = bossScheduler.find(bossData.monster)
+  const nextText = nextEntry?.respawnAt ? ` Next respawn ${formatDiscordTimestamp(new Date(nextEntry.respawnAt), 'R')}.` : ''
+  return interaction.editReply(`☠️ Recorded **${bossData.monster}** kill.${nextText}`)
+}
+
+// Participation buttons: which set each one puts the member in, and how the click is acknowledged
+const PARTICIPATION_BUTTONS = {
+  join: { set: 'participating', joined: '✅ You\'re in for', left: '↩️ You\'re no longer signed up for' },
+  maybe: { set: 'maybe', joined: '⏰ Marked as maybe / late for', left: '↩️ You\'re no longer marked maybe / late for' },
+  skip: { set: 'notParticipating', joined: '❌ You\'re skipping', left: '↩️ You\'re no longer skipping' }
+}
+
+// Join / Maybe / Skip - states are mutually exclusive, and clicking your current state again clears it
+async function handleParticipationButton(interaction, action) {
+  const messageId = interaction.message.id
+  const bossData = messageBossData.get(messageId)
+  const data = participationData.get(messageId)
+  if (!bossData || !data) {
+    return interaction.reply({ content: '⚠️ This alert is no longer tracked.', flags: MessageFlags.Ephemeral })
+  }
+
+  const button = PARTICIPATION_BUTTONS[action]
+  const userId = interaction.user.id
+  const alreadyInState = data[button.set].has(userId)
+
+  data.participating.delete(userId)
+  data.notParticipating.delete(userId)
+  data.maybe.delete(userId)
+  if (!alreadyInState) {
+    data[button.set].add(userId)
+  }
+
+  console.log(`🔘 ${interaction.user.username} ${alreadyInState ? 'cleared' : 'set'} ${button.set} on ${messageId}`)
+
+  await interaction.reply({
+    content: `${alreadyInState ? button.left : button.joined} **${bossData.monster}**.`,
+    flags: MessageFlags.Ephemeral
+  })
+
+  await saveTrackedMessages()
+  publishParticipationChange(messageId, userId, alreadyInState ? null : button.set)
+  queueParticipationEmbedUpdate(interaction.message)
+}
+
+// "Who's in?" - answer with the full roster privately
+async function handleRosterButton(interaction) {
+  const messageId = interaction.message.id
+  const bossData = messageBossData.get(messageId)
+  const data = participationData.get(messageId)
+  if (!bossData || !data) {
+    return interaction.reply({ content: '⚠️ This alert is no longer tracked.', flags: MessageFlags.Ephemeral })
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral })
+  // A private embed has room for far more names than the alert itself
+  const { participationFields } = await buildParticipationStatus(data, interaction.guildId, { maxFields: 25, maxChars: 5800 }, bossData.composition)
+  const embed = new EmbedBuilder()
+    .setTitle(`👥 ${bossData.monster} sign-ups`)
+    .setColor(0x5865F2)
+    .addFields(participationFields)
+  return interaction.editReply({ embeds: [embed] })
+}
+
+// "Export roster" - send the full sign-up list as a CSV file
+async function handleExportRosterButton(interaction) {
+  const messageId = interaction.message.id
+  const bossData = messageBossData.get(messageId)
+  const data = participationData.get(messageId)
+  if (!bossData || !data) {
+    return interaction.reply({ content: '⚠️ This alert is no longer tracked.', flags: MessageFlags.Ephemeral })
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral })
+
+  const entries = {}
+  for (const section of ROSTER_SECTIONS) {
+    const userIds = [...data[section.key]]
+    const names = await fetchDisplayNames(userIds, interaction.guildId)
+    entries[section.key] = userIds.map((userId, index) => ({ userId, name: names[index] }))
+  }
+
+  const fileName = `roster-${bossData.monster.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${messageId}.csv`
+  const attachment = new AttachmentBuilder(Buffer.from(buildRosterCsv(entries), 'utf8'), { name: fileName })
+  const counts = getParticipationCounts(data)
+  console.log(`📋 Exported ${bossData.monster} roster for ${interaction.user.username}`)
+  return interaction.editReply({
+    content: `📋 **${bossData.monster}** roster: ${counts.participating} joined, ${counts.maybe} maybe / late, ${counts.notParticipating} skipped.`,
+    files: [attachment]
+  })
+}
+
+// Button handling
+async function handleButton(interaction) {
+  try {
+    console.log(`🔘 Button ${interaction.customId} pressed by ${interaction.user.username}`)
+
+    const [prefix, action] = interaction.customId.split(':')
+    if (interaction.customId === 'boss-killed') {
+      await handleKilledButton(interaction)
+    } else if (prefix === 'participation' && action === 'roster') {
+      await handleRosterButton(interaction)
+    } else if (prefix === 'participation' && action === 'export') {
+      await handleExportRosterButton(interaction)
+    } else if (prefix === 'participation' && PARTICIPATION_BUTTONS[action]) {
+      await handleParticipationButton(interaction, action)
+    }
+  } catch (error) {
+    console.error('Error handling button:', error)
+    const reply = { content: `❌ Something went wrong: ${error.message}`, flags: MessageFlags.Ephemeral }
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply(reply).catch(() => {})
+    } else {
+      await interaction.reply(reply).catch(() => {})
+    }
+  }
+}
+
+// Tracked alerts for a scheduled boss, across every channel it was routed to
+function findTrackedAlerts(entry) {
+  return [...messageBossData.entries()]
+    .filter(([, bossData]) => getScheduleKey(bossData) === entry.key)
+    // A fixed-schedule boss's earlier occurrences are separate alerts
+    .filter(([, bossData]) => !bossData.respawn_schedule || calculateRespawnTime(bossData)?.toISOString() === entry.respawnAt)
+    .map(([messageId]) => messageId)
+}
+
+// Called by the scheduler when a boss is within one of the alert lead times
+// Posts the cycle's alerts, or nudges the existing ones; returns an alert's message ID
+async function handleScheduledAlert(entry, leadMinutes) {
+  const respawnAt = new Date(entry.respawnAt)
+  let nudgedMessageId = null
+
+  for (const messageId of findTrackedAlerts(entry)) {
+    const channel = await discordClient.channels.fetch(getAlertChannelId(messageId)).catch(() => null)
+    const message = await channel?.messages.fetch(messageId).catch(() => null)
+    if (!message) continue
+
+    await message.reply({
+      content: `⏰ **${entry.boss.monster}** spawns ${formatDiscordTimestamp(respawnAt, 'R')}! Use the buttons on the alert above to join.`,
+      allowedMentions: { repliedUser: false }
+    })
+    nudgedMessageId = nudgedMessageId || message.id
+  }
+
+  if (nudgedMessageId) {
+    console.log(`⏰ Sent ${leadMinutes}-minute reminder for ${entry.boss.monster}`)
+    return nudgedMessageId
+  }
+
+  const posted = await postBossAlert(normalizeBossData(entry.boss))
+  if (posted.length === 0) {
+    throw new Error(`No alert channel found for ${entry.boss.monster}`)
+  }
+  console.log(`⏰ Posted scheduled ${leadMinutes}-minute alert for ${entry.boss.monster}`)
+  return posted[0].message.id
+}
+
+// Display timezone for a guild
+function getGuildTimeZone(guildId) {
+  return guildTimeZones[guildId] || DISPLAY_TIMEZONE
+}
+
+// A member's own timezone (set with /timezone), falling back to the guild's
+function getMemberTimeZone(userId, guildId = null) {
+  return userSettings.get(userId).timezone || getGuildTimeZone(guildId)
+}
+
+// Tracked alerts with a known respawn time and the members who joined them
+function getReminderAlerts() {
+  const alerts = []
+  for (const [messageId, bossData] of messageBossData.entries()) {
+    const respawnAt = calculateRespawnTime(bossData)
+    if (!respawnAt || isNaN(respawnAt.getTime())) continue
+
+    alerts.push({
+      messageId,
+      boss: bossData,
+      respawnAt,
+      userIds: [...(participationData.get(messageId)?.participating || [])]
+    })
+  }
+  return alerts
+}
+
+// DM one member a reminder with a jump link back to the alert
+async function sendParticipantReminder(alert, userId, leadMinutes) {
+  const user = await discordClient.users.fetch(userId)
+  const channel = await discordClient.channels.fetch(getAlertChannelId(alert.messageId)).catch(() => null)
+  const url = channel?.guildId ? `https://discord.com/channels/${channel.guildId}/${channel.id}/${alert.messageId}` : null
+  // Push notifications show timestamp markup raw, so lead with plain text in the member's zone
+  const localTime = formatZonedTime(alert.respawnAt, getMemberTimeZone(userId, channel?.guildId))
+
+  await user.send({
+    content: [
+      `⏰ **${alert.boss.monster}** spawns at ${localTime} (${formatDiscordTimestamp(alert.respawnAt, 'R')}) — you signed up for this one!`,
+      alert.boss.name && alert.boss.name !== alert.boss.monster ? `📍 ${alert.boss.name}` : null,
+      url ? `🔗 [Jump to the alert](${url})` : null,
+      '-# Change or turn off these reminders with /reminders'
+    ].filter(Boolean).join('\n')
+  })
+  console.log(`📨 Sent ${leadMinutes}-minute ${alert.boss.monster} reminder to ${userId}`)
+}
+
+// Slash command handling
+async function handleSlashCommand(interaction) {
+  try {
+    console.log(`💬 /${interaction.commandName} ${interaction.options.getSubcommand(false) || ''} by ${interaction.user.username}`)
+
+    if (interaction.commandName === 'boss') {
+      await handleBossCommand(interaction)
+    } else if (interaction.commandName === 'points') {
+      await handlePointsCommand(interaction)
+    } else if (interaction.commandName === 'leaderboard') {
+      await handleLeaderboardCommand(interaction)
+    } else if (interaction.commandName === 'stats') {
+      await handleStatsCommand(interaction)
+    } else if (interaction.commandName === 'subscribe') {
+      await handleSubscribeCommand(interaction)
+    } else if (interaction.commandName === 'unsubscribe') {
+      await handleUnsubscribeCommand(interaction)
+    } else if (interaction.commandName === 'subscriptions') {
+      await handleSubscriptionsCommand(interaction)
+    } else if (interaction.commandName === 'reminders') {
+      await handleRemindersCommand(interaction)
+    } else if (interaction.commandName === 'timezone') {
+      await handleTimezoneCommand(interaction)
+    } else if (interaction.commandName === 'profile') {
+      await handleProfileCommand(interaction)
+    }
+  } catch (error) {
+    console.error('Error handling slash command:', error)
+    const reply = { content: `❌ Something went wrong: ${error.message}`, flags: MessageFlags.Ephemeral }
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply(reply).catch(() => {})
+    } else {
+      await interaction.reply(reply).catch(() => {})
+    }
+  }
+}
+
+async function handleBossCommand(interaction) {
+  if (!isOfficer(interaction)) {
+    console.log(`❌ ${interaction.user.username} tried /boss without the officer role`)
+    return interaction.reply({ content: '❌ Only officers can manage boss alerts.', flags: MessageFlags.Ephemeral })
+  }
+
+  if (interaction.options.getSubcommandGroup(false) === 'catalog') {
+    return handleBossCatalogCommand(interaction)
+  }
+
+  const subcommand = interaction.options.getSubcommand()
+  // Clock times like "21:30" are read in the officer's own timezone
+  const timeZone = getMemberTimeZone(interaction.user.id, interaction.guildId)
+
+  if (subcommand === 'announce') {
+    const timeOfDeathInput = interaction.options.getString('time_of_death')
+    const timeOfDeath = timeOfDeathInput ? parseTimeInput(timeOfDeathInput, timeZone) : new Date()
+    if (!timeOfDeath) {
+      return interaction.reply({ content: `❌ Could not understand the time "${timeOfDeathInput}". Use HH:MM (${getTimeZoneLabel(timeZone)}) or an ISO timestamp.`, flags: MessageFlags.Ephemeral })
+    }
+
+    const { composition, error: compositionError } = parseComposition(interaction.options.getString('composition'), partyRoles)
+    if (compositionError) {
+      return interaction.reply({ content: `❌ ${compositionError}.`, flags: MessageFlags.Ephemeral })
+    }
+
+    const scheduleInput = interaction.options.getString('schedule')
+    const { error: scheduleError } = scheduleInput ? parseRespawnSchedule(scheduleInput) : {}
+    if (scheduleError) {
+      return interaction.reply({ content: `❌ ${scheduleError}.`, flags: MessageFlags.Ephemeral })
+    }
+
+    const processedBossData = normalizeBossData({
+      monster: interaction.options.getString('monster'),
+      respawn_hours: interaction.options.getNumber('respawn_hours') ?? undefined,
+      respawn_schedule: scheduleInput ?? undefined,
+      time_of_death: timeOfDeath.toISOString(),
+      points: interaction.options.getInteger('points') ?? undefined,
+      notes: interaction.options.getString('notes') ?? undefined,
+      composition
+    })
+    if (!hasRespawnTimer(processedBossData)) {
+      return interaction.reply({ content: `❌ **${processedBossData.monster}** has no respawn rule in the catalog - give \`respawn_hours\` or \`schedule\`.`, flags: MessageFlags.Ephemeral })
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral })
+
+    const posted = await postBossAlert(processedBossData)
+    if (posted.length === 0) {
+      return interaction.editReply('❌ Discord channel not found.')
+    }
+    await bossScheduler.track(processedBossData, { messageId: posted[0].message.id })
+    return interaction.editReply(`✅ Posted alert for **${processedBossData.monster}**: ${posted.map(({ message }) => message.url).join(' ')}`)
+  }
+
+  if (subcommand === 'killed') {
+    const monster = bossCatalog.resolveName(interaction.options.getString('monster'))
+    const timeInput = interaction.options.getString('time')
+    const timeOfDeath = timeInput ? parseTimeInput(timeInput, timeZone) : new Date()
+    if (!timeOfDeath) {
+      return interaction.reply({ content: `❌ Could not understand the time "${timeInput}". Use HH:MM (${getTimeZoneLabel(timeZone)}) or an ISO timestamp.`, flags: MessageFlags.Ephemeral })
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral })
+
+    const closedMessageIds = await recordBossDeath(monster, timeOfDeath, interaction.member?.displayName || interaction.user.username)
+    if (closedMessageIds.length === 0) {
+      if (bossScheduler.find(monster)) {
+        return interaction.editReply(`☠️ Recorded **${monster}** death at ${formatDiscordTimestamp(timeOfDeath)}. Scheduled alerts re-armed.`)
+      }
+      return interaction.editReply(`⚠️ No tracked alert or schedule found for **${monster}**.`)
+    }
+    return interaction.editReply(`☠️ Recorded **${monster}** death at ${formatDiscordTimestamp(timeOfDeath)} and closed ${closedMessageIds.length} alert(s).`)
+  }
+
+  if (subcommand === 'track') {
+    const timeOfDeathInput = interaction.options.getString('time_of_death')
+    const timeOfDeath = timeOfDeathInput ? parseTimeInput(timeOfDeathInput, timeZone) : new Date()
+    if (!timeOfDeath) {
+      return interaction.reply({ content: `❌ Could not understand the time "${timeOfDeathInput}". Use HH:MM (${getTimeZoneLabel(timeZone)}) or an ISO timestamp.`, flags: MessageFlags.Ephemeral })
+    }
+
+    const scheduleInput = interaction.options.getString('schedule')
+    const { error: scheduleError } = scheduleInput ? parseRespawnSchedule(scheduleInput) : {}
+    if (scheduleError) {
+      return interaction.reply({ content: `❌ ${scheduleError}.`, flags: MessageFlags.Ephemeral })
+    }
+
+    const processedBossData = normalizeBossData({
+      monster: interaction.options.getString('monster'),
+      respawn_hours: interaction.options.getNumber('respawn_hours') ?? undefined,
+      respawn_schedule: scheduleInput ?? undefined,
+      time_of_death: timeOfDeath.toISOString(),
+      points: interaction.options.getInteger('points') ?? undefined,
+      notes: interaction.options.getString('notes') ?? undefined
+    })
+    if (!hasRespawnTimer(processedBossData)) {
+      return interaction.reply({ content: `❌ **${processedBossData.monster}** has no respawn rule in the catalog - give \`respawn_hours\` or \`schedule\`.`, flags: MessageFlags.Ephemeral })
+    }
+
+    const entry = await bossScheduler.track(processedBossData)
+    const respawnText = entry.respawnAt ? formatDiscordTimestamp(new Date(entry.respawnAt)) : 'an unknown time'
+    return interaction.reply({
+      content: `⏲️ Tracking **${processedBossData.monster}**: respawns ${respawnText}. Alerts will post ${bossScheduler.leads.join(' and ')} minutes before.`,
+      flags: MessageFlags.Ephemeral
+    })
+  }
+
+  if (subcommand === 'untrack') {
+    const monster = bossCatalog.resolveName(interaction.options.getString('monster'))
+    const removed = await bossScheduler.untrack(monster)
+    return interaction.reply({
+      content: removed ? `🗑️ Stopped automatic alerts for **${monster}**.` : `⚠️ **${monster}** is not scheduled.`,
+      flags: MessageFlags.Ephemeral
+    })
+  }
+
+  if (subcommand === 'schedule') {
+    const entries = bossScheduler.list()
+      .filter(entry => entry.respawnAt)
+      .sort((a, b) => new Date(a.respawnAt) - new Date(b.respawnAt))
+    if (entries.length === 0) {
+      return interaction.reply({ content: '📭 No bosses are scheduled.', flags: MessageFlags.Ephemeral })
+    }
+
+    let content = `⏲️ **Scheduled bosses (${entries.length}):**\n`
+    for (const entry of entries) {
+      const line = `• **${entry.boss.monster}** — respawns ${formatDiscordTimestamp(new Date(entry.respawnAt), 'R')}`
+      if (content.length + line.length + 1 > 1900) {
+        content += '\n…'
+        break
+      }
+      content += `\n${line}`
+    }
+    return interaction.reply({ content, flags: MessageFlags.Ephemeral })
+  }
+
+  if (subcommand === 'list') {
+    if (messageBossData.size === 0) {
+      return interaction.reply({ content: '📭 No boss alerts are being tracked.', flags: MessageFlags.Ephemeral })
+    }
+
+    const lines = []
+    for (const [messageId, bossData] of messageBossData.entries()) {
+      const participatingCount = participationData.get(messageId)?.participating.size || 0
+      lines.push(`• **${bossData.monster}** — ${formatRespawnTime(bossData)} — ✅ ${participatingCount} — \`${messageId}\``)
+    }
+
+    // Stay inside Discord's 2000 character message limit
+    let content = `📋 **Tracked boss alerts (${messageBossData.size}):**\n`
+    for (const line of lines) {
+      if (content.length + line.length + 1 > 1900) {
+        content += '\n…'
+        break
+      }
+      content += `\n${line}`
+    }
+    return interaction.reply({ content, flags: MessageFlags.Ephemeral })
+  }
+
+  if (subcommand === 'cancel') {
+    const messageId = interaction.options.getString('message_id').trim()
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral })
+
+    const cancelled = await cancelBossAlert(messageId)
+    if (!cancelled) {
+      return interaction.editReply(`⚠️ Message \`${messageId}\` is not a tracked boss alert.`)
+    }
+    return interaction.editReply(`🗑️ Cancelled boss alert \`${messageId}\`.`)
+  }
+
+  if (subcommand === 'attendance') {
+    const monster = bossCatalog.resolveName(interaction.options.getString('monster'))
+    const messageId = interaction.options.getString('message_id')?.trim()
+    // Newest first, so a boss name picks its latest kill
+    const kill = pointsLedger.getEntries().find(entry => messageId
+      ? (entry.messageIds || [entry.messageId]).includes(messageId)
+      : entry.monster?.toLowerCase() === monster.toLowerCase())
+    if (!kill) {
+      const target = messageId ? `alert \`${messageId}\`` : `**${monster}**`
+      return interaction.reply({ content: `⚠️ No recorded kill found for ${target}.`, flags: MessageFlags.Ephemeral })
+    }
+
+    // Accept mentions or raw user IDs
+    const absentUserIds = [...(interaction.options.getString('absent') || '').matchAll(/<@!?(\d+)>|\b(\d{17,20})\b/g)]
+      .map(match => match[1] || match[2])
+    const notSignedUp = absentUserIds.filter(userId => !kill.participating.includes(userId))
+    const entry = await pointsLedger.confirmAttendance(kill.messageId, absentUserIds)
+
+    let content = `📝 Confirmed attendance for **${entry.monster}** (killed ${formatDiscordTimestamp(new Date(entry.killedAt))}): ${entry.attended.length} of ${entry.participating.length} showed up.`
+    const noShows = entry.participating.filter(userId => !entry.attended.includes(userId))
+    if (noShows.length > 0) {
+      content += `\n❌ No-shows: ${noShows.map(userId => `<@${userId}>`).join(', ')}`
+    }
+    if (notSignedUp.length > 0) {
+      content += `\n⚠️ Not signed up, so not counted: ${notSignedUp.map(userId => `<@${userId}>`).join(', ')}`
+    }
+    return interaction.reply({ content, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } })
+  }
+}
+
+async function handlePointsCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand()
+  const user = subcommand === 'user' ? interaction.options.getUser('member') : interaction.user
+
+  const allTime = pointsLedger.getUserTotals(user.id)
+  const month = pointsLedger.getUserTotals(user.id, { since: getPeriodStart('month') })
+  const week = pointsLedger.getUserTotals(user.id, { since: getPeriodStart('week') })
+  const rank = pointsLedger.getLeaderboard({ limit: 0 }).findIndex(total => total.userId === user.id) + 1
+
+  const embed = new EmbedBuilder()
+    .setTitle(`💰 Boss Points: ${user.displayName || user.username}`)
+    .setColor(0xFFD700)
+    .addFields(
+      {
+        name: 'All Time',
+        value: `**${allTime.points}** points\n${allTime.kills} kills attended`,
+        inline: true
+      },
+      {
+        name: 'Past Month',
+        value: `**${month.points}** points\n${month.kills} kills attended`,
+        inline: true
+      },
+      {
+        name: 'Past Week',
+        value: `**${week.points}** points\n${week.kills} kills attended`,
+        inline: true
+      }
+    )
+    .setFooter({ text: rank > 0 ? `Rank #${rank} all time` : 'Not ranked yet' })
+    .setTimestamp()
+
+  return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+}
+
+async function handleLeaderboardCommand(interaction) {
+  const period = interaction.options.getString('period') || 'all'
+  const leaderboard = pointsLedger.getLeaderboard({ since: getPeriodStart(period), limit: 15 })
+  const periodLabel = { week: 'Past Week', month: 'Past Month', all: 'All Time' }[period]
+
+  const medals = ['🥇', '🥈', '🥉']
+  const lines = leaderboard.map((total, index) =>
+    `${medals[index] || `**${index + 1}.**`} <@${total.userId}> — **${total.points}** points (${total.kills} kills)`)
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🏆 Boss Points Leaderboard — ${periodLabel}`)
+    .setColor(0xFFD700)
+    .setDescription(lines.length > 0 ? lines.join('\n') : '*No kills recorded yet*')
+    .setTimestamp()
+
+  return interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } })
+}
+
+// Weeks of turnout history shown by /stats boss for each period
+const STATS_WEEKS = { week: 1, month: 5, all: 8 }
+
+async function handleStatsCommand(interaction) {
+  if (!isOfficer(interaction)) {
+    console.log(`❌ ${interaction.user.username} tried /stats without the officer role`)
+    return interaction.reply({ content: '❌ Only officers can view attendance statistics.', flags: MessageFlags.Ephemeral })
+  }
+
+  const subcommand = interaction.options.getSubcommand()
+  const period = interaction.options.getString('period') || 'all'
+  const periodLabel = { week: 'Past Week', month: 'Past Month', all: 'All Time' }[period]
+  const entries = pointsLedger.getEntries({ since: getPeriodStart(period), guildId: interaction.guildId })
+
+  if (subcommand === 'member') {
+    const user = interaction.options.getUser('member')
+    const stats = getMemberStats(entries, user.id)
+    const name = await fetchDisplayName(user.id, interaction.guildId)
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📈 Attendance: ${name} — ${periodLabel}`)
+      .setColor(0x5865F2)
+      .addFields(
+        {
+          name: 'Sign-up Rate',
+          value: `**${formatRate(stats.signUpRate)}**\n${stats.signUps} of ${stats.kills} kills`,
+          inline: true
+        },
+        {
+          name: 'No-show Rate',
+          value: stats.confirmedSignUps > 0
+            ? `**${formatRate(stats.noShowRate)}**\n${stats.noShows} of ${stats.confirmedSignUps} confirmed`
+            : '*No confirmed attendance yet*',
+          inline: true
+        },
+        {
+          name: 'Streaks',
+          value: `🔥 **${stats.currentStreak}** in a row\nBest: ${stats.longestStreak}`,
+          inline: true
+        },
+        {
+          name: 'Favorite Bosses',
+          value: stats.favoriteBosses.length > 0
+            ? stats.favoriteBosses.map(({ monster, count }) => `• **${monster}** — ${count} sign-up${count === 1 ? '' : 's'}`).join('\n')
+            : '*No sign-ups yet*',
+          inline: false
+        }
+      )
+      .setFooter({ text: 'No-shows count only kills confirmed with /boss attendance' })
+      .setTimestamp()
+
+    return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+  }
+
+  if (subcommand === 'boss') {
+    const monster = bossCatalog.resolveName(interaction.options.getString('monster').trim())
+    const stats = getBossStats(entries, monster, { weeks: STATS_WEEKS[period] })
+    if (stats.kills === 0) {
+      return interaction.reply({ content: `📭 No recorded kills of **${monster}** (${periodLabel.toLowerCase()}).`, flags: MessageFlags.Ephemeral })
+    }
+
+    const weeklyLines = stats.weekly.map(week => {
+      const label = `Week of ${formatDiscordTimestamp(new Date(week.start), 'd')}`
+      return week.kills > 0
+        ? `${label} — ${week.kills} kill${week.kills === 1 ? '' : 's'}, avg **${week.averageTurnout}**, ${formatRate(week.participationRate)} joined`
+        : `${label} — *no kills*`
+    })
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📈 Turnout: ${stats.monster} — ${periodLabel}`)
+      .setColor(0x5865F2)
+      .addFields(
+        {
+          name: 'Kills',
+          value: `**${stats.kills}**\nLast ${formatDiscordTimestamp(new Date(stats.lastKilledAt), 'R')}`,
+          inline: true
+        },
+        {
+          name: 'Average Turnout',
+          value: `**${stats.averageTurnout}** members`,
+          inline: true
+        },
+        {
+          name: 'Participation Rate',
+          value: `**${formatRate(stats.participationRate)}**\nof members who answered`,
+          inline: true
+        },
+        {
+          name: 'Over Time',
+          value: weeklyLines.join('\n'),
+          inline: false
+        }
+      )
+      .setTimestamp()
+
+    return interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral })
+  }
+}
+
+// Find (or create) the mentionable role for a boss's subscribers in a guild
+async function ensureSubscriptionRole(guild, monster) {
+  const roleId = subscriptionStore.getRoleId(monster, guild.id)
+  const existing = roleId ? await guild.roles.fetch(roleId).catch(() => null) : null
+  if (existing) {
+    return existing
+  }
+
+  const role = await guild.roles.create({
+    name: `${monster} Alerts`,
+    mentionable: true,
+    reason: `Subscription role for ${monster} boss alerts`
+  })
+  await subscriptionStore.setRoleId(monster, guild.id, role.id)
+  console.log(`🔔 Created subscription role ${role.name} in guild ${guild.id}`)
+  return role
+}
+
+async function handleSubscribeCommand(interaction) {
+  const input = interaction.options.getString('monster').trim()
+  // Prefer the spelling of a boss we already know about
+  const { added, monster } = await subscriptionStore.subscribe(interaction.user.id, bossScheduler.find(input)?.boss.monster || input)
+  let roleNote = ''
+
+  if (subscriptionRolesEnabled && interaction.guild) {
+    try {
+      const role = await ensureSubscriptionRole(interaction.guild, monster)
+      await interaction.member.roles.add(role)
+      roleNote = ` You now have the <@&${role.id}> role.`
+    } catch (error) {
+      console.error(`❌ Failed to assign subscription role for ${monster}:`, error.message)
+      roleNote = ' (The subscription role could not be assigned - you will be pinged directly.)'
+    }
+  }
+
+  const content = added
+    ? `🔔 You will be pinged when a **${monster}** alert is posted.${roleNote}`
+    : `🔔 You are already subscribed to **${monster}**.${roleNote}`
+  return interaction.reply({ content, flags: MessageFlags.Ephemeral, allowedMentions: { parse: [] } })
+}
+
+async function handleUnsubscribeCommand(interaction) {
+  const monster = interaction.options.getString('monster')?.trim() || null
+  const removed = await subscriptionStore.unsubscribe(interaction.user.id, monster)
+
+  if (removed.length === 0) {
+    const content = monster ? `❌ You are not subscribed to **${monster}**.` : '❌ You have no boss subscriptions.'
+    return interaction.reply({ content, flags: MessageFlags.Ephemeral })
+  }
+
+  if (subscriptionRolesEnabled && interaction.guild) {
+    for (const name of removed) {
+      const roleId = subscriptionStore.getRoleId(name, interaction.guild.id)
+      if (!roleId) continue
+      await interaction.member.roles.remove(roleId).catch(error =>
+        console.error(`❌ Failed to remove subscription role for ${name}:`, error.message))
+    }
+  }
+
+  return interaction.reply({
+    content: `🔕 Unsubscribed from ${removed.map(name => `**${name}**`).join(', ')}.`,
+    flags: MessageFlags.Ephemeral
+  })
+}
+
+async function handleSubscriptionsCommand(interaction) {
+  const subscribed = subscriptionStore.getUserSubscriptions(interaction.user.id)
+  const content = subscribed.length > 0
+    ? `🔔 You are subscribed to: ${subscribed.map(name => `**${name}**`).join(', ')}`
+    : '🔕 You have no boss subscriptions. Use `/subscribe` to get pinged for a boss.'
+  return interaction.reply({ content, flags: MessageFlags.Ephemeral })
+}
+
+// Human-readable summary of a member's reminder settings
+function describeReminderSettings(settings, timeZone) {
+  const leads = settings.reminderLeads || reminderScheduler.defaultLeads
+  const quiet = settings.quietHours ? `${settings.quietHours.start}–${settings.quietHours.end} (${getTimeZoneLabel(timeZone)})` : 'off'
+  return [
+    `📨 DM reminders: **${settings.dmReminders ? 'on' : 'off'}**`,
+    `⏱️ Lead time: **${leads.join(', ')} min** before respawn${settings.reminderLeads ? '' : ' (default)'}`,
+    `🤫 Quiet hours: **${quiet}**`
+  ].join('\n')
+}
+
+async function handleRemindersCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand()
+  const userId = interaction.user.id
+  let settings = userSettings.get(userId)
+
+  if (subcommand === 'on' || subcommand === 'off') {
+    settings = await userSettings.update(userId, { dmReminders: subcommand === 'on' ? null : false })
+  } else if (subcommand === 'lead') {
+    const input = interaction.options.getString('minutes').trim().toLowerCase()
+    if (input === 'default') {
+      settings = await userSettings.update(userId, { reminderLeads: null })
+    } else {
+      const leads = [...new Set(input.split(',').map(lead => parseInt(lead.trim(), 10)))]
+      if (leads.length === 0 || leads.some(lead => isNaN(lead) || lead < 1 || lead > 24 * 60)) {
+        return interaction.reply({ content: '❌ Lead times must be whole minutes between 1 and 1440, e.g. `30,10`.', flags: MessageFlags.Ephemeral })
+      }
+      settings = await userSettings.update(userId, { reminderLeads: leads.sort((a, b) => b - a) })
+    }
+  } else if (subcommand === 'quiet') {
+    const start = interaction.options.getString('start')
+    const end = interaction.options.getString('end')
+    if (!start && !end) {
+      settings = await userSettings.update(userId, { quietHours: null })
+    } else if (parseClockMinutes(start) === null || parseClockMinutes(end) === null) {
+      return interaction.reply({ content: '❌ Give both a start and an end time as HH:MM, e.g. `23:00` and `07:00`.', flags: MessageFlags.Ephemeral })
+    } else {
+      const toClock = value => {
+        const minutes = parseClockMinutes(value)
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+      }
+      settings = await userSettings.update(userId, { quietHours: { start: toClock(start), end: toClock(end) } })
+    }
+  }
+
+  return interaction.reply({
+    content: describeReminderSettings(settings, getMemberTimeZone(userId, interaction.guildId)),
+    flags: MessageFlags.Ephemeral
+  })
+}
+
+async function handleTimezoneCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand()
+  const userId = interaction.user.id
+
+  if (subcommand === 'set') {
+    const input = interaction.options.getString('zone')
+    const timeZone = normalizeTimeZone(input)
+    if (!timeZone) {
+      return interaction.reply({
+        content: `❌ Unknown timezone "${input}". Use a name like \`Europe/London\` or \`America/New_York\`, or an offset like \`GMT+8\`.`,
+        flags: MessageFlags.Ephemeral
+      })
+    }
+    await userSettings.update(userId, { timezone: timeZone })
+  } else if (subcommand === 'clear') {
+    await userSettings.update(userId, { timezone: null })
+  }
+
+  const personal = userSettings.get(userId).timezone
+  const timeZone = getMemberTimeZone(userId, interaction.guildId)
+  const now = new Date()
+  return interaction.reply({
+    content: [
+      `🌏 Your timezone: **${timeZone}** (${getTimeZoneLabel(timeZone, now)})${personal ? '' : ' — the server default'}`,
+      `🕐 It is now ${formatZonedTime(now, timeZone)} there.`,
+      'Times you type in commands (e.g. `21:30`) and times in DMs use this zone. Alerts show times in your device\'s zone.'
+    ].join('\n'),
+    flags: MessageFlags.Ephemeral
+  })
+}
+
+// A catalogued boss on one line: name, aliases, respawn rule, location and points
+function describeCatalogEntry(entry) {
+  let respawn = 'no respawn rule'
+  if (entry.respawn_schedule) {
+    respawn = `spawns ${describeRespawnSchedule(entry.respawn_schedule, DISPLAY_TIMEZONE)}`
+  } else if (entry.respawn_max_hours !== undefined) {
+    respawn = `spawns ${entry.respawn_min_hours || 0}h–${entry.respawn_max_hours}h after death`
+  } else if (entry.respawn_hours) {
+    respawn = `respawns ${entry.respawn_hours}h after death`
+  }
+  const details = [
+    respawn,
+    entry.location ? `📍 ${entry.location}` : null,
+    entry.points !== undefined ? `💰 ${entry.points}` : null
+  ].filter(Boolean)
+  const aliases = entry.aliases?.length > 0 ? ` (${entry.aliases.join(', ')})` : ''
+  return `**${entry.monster}**${aliases} — ${details.join(' • ')}`
+}
+
+// /boss catalog list|show|set|remove
+async function handleBossCatalogCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand()
+  const monster = interaction.options.getString('monster')
+
+  if (subcommand === 'list') {
+    const entries = bossCatalog.list()
+    if (entries.length === 0) {
+      return interaction.reply({ content: '📭 The boss catalog is empty. Add bosses with `/boss catalog set`.', flags: MessageFlags.Ephemeral })
+    }
+
+    let content = `📖 **Boss catalog (${entries.length}):**\n`
+    for (const entry of entries) {
+      const line = `• ${describeCatalogEntry(entry)}\n`
+      if (content.length + line.length > 1900) {
+        content += '…'
+        break
+      }
+      content += line
+    }
+    return interaction.reply({ content, flags: MessageFlags.Ephemeral })
+  }
+
+  if (subcommand === 'show') {
+    const entry = bossCatalog.find(monster)
+    return interaction.reply({
+      content: entry
+        ? `📖 ${describeCatalogEntry(entry)}${entry.image_url ? `\n🖼️ ${entry.image_url}` : ''}`
+        : `⚠️ **${monster}** is not in the catalog.`,
+      flags: MessageFlags.Ephemeral
+    })
+  }
+
+  if (subcommand === 'remove') {
+    const removed = await bossCatalog.remove(monster)
+    return interaction.reply({
+      content: removed ? `🗑️ Removed **${removed.monster}** from the catalog.` : `⚠️ **${monster}** is not in the catalog.`,
+      flags: MessageFlags.Ephemeral
+    })
+  }
+
+  // set - only the options given are changed
+  const changes = {
+    respawn_hours: interaction.options.getNumber('respawn_hours') ?? undefined,
+    respawn_min_hours: interaction.options.getNumber('min_hours') ?? undefined,
+    respawn_max_hours: interaction.options.getNumber('max_hours') ?? undefined,
+    respawn_schedule: interaction.options.getString('schedule') ?? undefined,
+    location: interaction.options.getString('location') ?? undefined,
+    points: interaction.options.getInteger('points') ?? undefined,
+    image_url: interaction.options.getString('image_url') ?? undefined,
+    aliases: interaction.options.getString('aliases') ?? undefined
+  }
+  const { entry, created, error } = await bossCatalog.upsert(monster, changes)
+  if (error) {
+    return interaction.reply({ content: `❌ ${error}.`, flags: MessageFlags.Ephemeral })
+  }
+
+  console.log(`📖 ${interaction.user.username} ${created ? 'added' : 'updated'} ${entry.monster} in the boss catalog`)
+  return interaction.reply({
+    content: `📖 ${created ? 'Added' : 'Updated'} ${describeCatalogEntry(entry)}`,
+    flags: MessageFlags.Ephemeral
+  })
+}
+
+// /profile class|show|clear - the party role shown on alert rosters
+async function handleProfileCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand()
+  const userId = interaction.user.id
+  const roleNames = partyRoles.map(role => role.name).join(', ')
+
+  if (subcommand === 'class') {
+    const input = interaction.options.getString('class')
+    const partyClass = findPartyRole(partyRoles, input)
+    if (!partyClass) {
+      return interaction.reply({ content: `❌ Unknown class "${input}". Choose one of: ${roleNames}.`, flags: MessageFlags.Ephemeral })
+    }
+    await userSettings.update(userId, { partyClass })
+  } else if (subcommand === 'clear') {
+    await userSettings.update(userId, { partyClass: null })
+  }
+
+  const chosen = findPartyRole(partyRoles, userSettings.get(userId).partyClass)
+  const role = await fetchPartyRole(userId, interaction.guildId)
+  let content
+  if (chosen) {
+    content = `🛡️ Your class: **${chosen}**`
+  } else if (role) {
+    content = `🛡️ Your class: **${role}** — from your Discord roles`
+  } else {
+    content = `🛡️ You have no class yet. Pick one with \`/profile class\` (${roleNames}).`
+  }
+  return interaction.reply({
+    content: `${content}\nAlert rosters group participants by class on their next refresh.`,
+    flags: MessageFlags.Ephemeral
+  })
+}
+
+// Register slash commands in every guild alerts are routed to
+async function registerSlashCommands() {
+  const guildIds = new Set()
+  for (const channelId of alertRouter.getAllChannelIds()) {
+    const channel = await discordClient.channels.fetch(channelId).catch(() => null)
+    if (channel?.guildId) {
+      guildIds.add(channel.guildId)
+    } else {
+      console.log(`⚠️ Alert channel ${channelId} is not reachable or not in a guild, skipping it for slash commands`)
+    }
+  }
+
+  for (const guildId of guildIds) {
+    try {
+      await discordClient.application.commands.set(getCommandDefinitions(), guildId)
+      console.log(`✅ Registered slash commands in guild ${guildId}`)
+    } catch (error) {
+      console.error(`❌ Failed to register slash commands in guild ${guildId}:`, error.message)
+    }
+  }
+}
+
+// API Routes
+// Status stays public so Railway's health check can reach it
+app.get('/api/status', (_, res) => {
+  res.json({
+    status: 'running',
+    discordConnected: isConnected,
+    botUser: discordClient?.user?.tag || null,
+    channelId: targetChannelId,
+    channels: alertRouter.getAllChannelIds(),
+    eventStreamClients: eventStream.clientCount
+  })
+})
+
+// Live event stream - EventSource can't send headers, so ?access_token= is accepted here
+app.get('/api/events', auth.requireScope('read', { allowQueryToken: true }), (req, res) => {
+  eventStream.handler(req, res)
+})
+
+// Points totals for the website
+app.get('/api/points', auth.requireScope('read'), async (req, res) => {
+  try {
+    const period = req.query.period || 'all'
+    let since
+    try {
+      since = getPeriodStart(period)
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      })
+    }
+
+    const withNames = async totals => Promise.all(totals.map(async total => ({
+      ...total,
+      displayName: isConnected ? await fetchDisplayName(total.userId) : null
+    })))
+
+    if (req.query.userId) {
+      const [total] = await withNames([pointsLedger.getUserTotals(req.query.userId, { since })])
+      return res.json({
+        success: true,
+        period,
+        user: total
+      })
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    res.json({
+      success: true,
+      period,
+      leaderboard: await withNames(pointsLedger.getLeaderboard({ since, limit }))
+    })
+  } catch (error) {
+    console.error('Error fetching points:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Attendance statistics: one member (?userId=), one boss (?monster=) or an overview of both
+app.get('/api/stats', auth.requireScope('read'), async (req, res) => {
+  try {
+    const period = req.query.period || 'all'
+    let since
+    try {
+      since = getPeriodStart(period)
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      })
+    }
+    const entries = pointsLedger.getEntries({ since, guildId: req.query.guildId || null })
+
+    const withNames = async reports => Promise.all(reports.map(async report => ({
+      ...report,
+      displayName: isConnected ? await fetchDisplayName(report.userId) : null
+    })))
+
+    if (req.query.userId) {
+      const [member] = await withNames([getMemberStats(entries, req.query.userId)])
+      return res.json({
+        success: true,
+        period,
+        member
+      })
+    }
+
+    if (req.query.monster) {
+      const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 8, 1), 52)
+      return res.json({
+        success: true,
+        period,
+        boss: getBossStats(entries, bossCatalog.resolveName(req.query.monster), { weeks })
+      })
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500)
+    res.json({
+      success: true,
+      period,
+      bosses: getBossOverview(entries),
+      members: await withNames(getMemberOverview(entries, { limit }))
+    })
+  } catch (error) {
+    console.error('Error fetching stats:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+app.post('/api/send-boss', auth.requireScope('send'), async (req, res) => {
+  try {
+    const bossData = req.body
+    
+    // ENHANCED DEBUG LOGGING in the display timezone
+    console.log(`🔍 DEBUGGING TIME CALCULATION (${DISPLAY_TIMEZONE}):`)
+    console.log('Raw boss data:', JSON.stringify(bossData, null, 2))
+    
+    const now = new Date()
+    console.log('Current time (UTC):', now.toISOString())
+    console.log(`Current time (${DISPLAY_TIMEZONE}):`, now.toLocaleString('en-US', { timeZone: DISPLAY_TIMEZONE }))
+    console.log('Server timezone:', Intl.DateTimeFormat().resolvedOptions().timeZone)
+    
+    // Test calculation
+    const calculatedTime = calculateRespawnTime(bossData)
+    if (calculatedTime) {
+      console.log('Calculated respawn (UTC):', calculatedTime.toISOString())
+      console.log(`Calculated respawn (${DISPLAY_TIMEZONE}):`, calculatedTime.toLocaleString('en-US', { timeZone: DISPLAY_TIMEZONE }))
+      
+      const diffMs = calculatedTime.getTime() - now.getTime()
+      console.log('Time difference (ms):', diffMs)
+      console.log('Time difference (seconds):', Math.floor(diffMs / 1000))
+      console.log('Formatted time:', formatRespawnTime(bossData))
+    }
+    
+    if (!isConnected || !discordClient) {
+      return res.status(503).json({
+        success: false,
+        error: 'Discord bot not connected'
+      })
+    }
 
     console.log('📥 Received boss data from frontend:', JSON.stringify(bossData, null, 2))
     console.log('🔍 Key time fields received:')
@@ -656,78 +2756,517 @@ app.post('/api/send-boss', async (req, res) => {
     console.log('   time_of_death:', bossData.time_of_death)
     console.log('   respawn_hours:', bossData.respawn_hours)
 
-    // Check if the request includes admin verification
-    // Note: In production, you should implement proper JWT token verification
-    if (!bossData.isAdmin) {
-      console.log('❌ Unauthorized attempt to send boss notification - admin access required')
-      return res.status(403).json({
+    console.log(`🔐 Authorized via ${req.auth.method} as ${req.auth.principal}`)
+
+    if (!bossData || !bossData.monster) {
+      return res.status(400).json({
+        success: false,
+        error: 'Boss data is required'
+      })
+    }
+
+    const { error: compositionError } = parseComposition(bossData.composition, partyRoles)
+    if (compositionError) {
+      return res.status(400).json({
+        success: false,
+        error: compositionError
+      })
+    }
+    if (bossData.respawn_schedule) {
+      const { error: scheduleError } = parseRespawnSchedule(bossData.respawn_schedule)
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: scheduleError
+        })
+      }
+    }
+
+    const processedBossData = normalizeBossData(bossData)
+    const result = await idempotencyStore.run(
+      req.get('idempotency-key'),
+      fingerprintBody(req.rawBody || bossData),
+      () => sendBossAlertOnce(processedBossData, { onDuplicate: req.get('x-on-duplicate') }),
+      { principal: `${req.auth.method}:${req.auth.principal}` }
+    )
+
+    if (result.conflict) {
+      return res.status(422).json({
         success: false,
-        error: 'Admin access required to send Discord notifications'
+        error: 'Idempotency-Key was already used for a different request'
       })
     }
 
-    if (!bossData || !bossData.monster) {
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true')
+    }
+    res.status(result.status).json(result.body)
+  } catch (error) {
+    console.error('Error sending boss notification:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Where a tracked alert is right now: upcoming, available (respawn time passed) or unknown
+function getAlertStatus(bossData, now = new Date()) {
+  const respawnTime = calculateRespawnTime(bossData)
+  if (!respawnTime || isNaN(respawnTime.getTime())) {
+    return 'unknown'
+  }
+  return respawnTime.getTime() > now.getTime() ? 'upcoming' : 'available'
+}
+
+// API representation of a tracked alert and its sign-ups
+async function serializeBossAlert(messageId, { withNames = true } = {}) {
+  const bossData = messageBossData.get(messageId)
+  const data = participationData.get(messageId) || createParticipationRecord()
+  const channelId = getAlertChannelId(messageId)
+  const channel = await discordClient?.channels.fetch(channelId).catch(() => null)
+  const respawnTime = calculateRespawnTime(bossData)
+
+  const participants = async userIds => Promise.all([...userIds].map(async userId => ({
+    userId,
+    displayName: withNames && isConnected ? await fetchDisplayName(userId, channel?.guildId) : null
+  })))
+
+  return {
+    messageId,
+    channelId,
+    guildId: channel?.guildId || null,
+    url: channel?.guildId ? `https://discord.com/channels/${channel.guildId}/${channelId}/${messageId}` : null,
+    status: getAlertStatus(bossData),
+    respawnTime: respawnTime && !isNaN(respawnTime.getTime()) ? respawnTime.toISOString() : null,
+    respawnIn: formatRespawnTime(bossData),
+    boss: toBossDefinition(bossData),
+    participation: {
+      participating: await participants(data.participating),
+      maybe: await participants(data.maybe),
+      notParticipating: await participants(data.notParticipating),
+      counts: {
+        participating: data.participating.size,
+        maybe: data.maybe.size,
+        notParticipating: data.notParticipating.size
+      }
+    }
+  }
+}
+
+// List tracked alerts, filtered by ?monster=, ?status=upcoming,available,unknown and a ?from=/?to= respawn window
+app.get('/api/boss-alerts', auth.requireScope('read'), async (req, res) => {
+  try {
+    const monster = req.query.monster ? String(req.query.monster).trim().toLowerCase() : null
+    const statuses = req.query.status ? String(req.query.status).split(',').map(status => status.trim().toLowerCase()) : null
+    const from = req.query.from ? new Date(req.query.from) : null
+    const to = req.query.to ? new Date(req.query.to) : null
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
       return res.status(400).json({
         success: false,
-        error: 'Boss data is required'
+        error: 'from and to must be valid dates'
       })
     }
 
-    const channel = await discordClient.channels.fetch(targetChannelId)
-    if (!channel) {
+    const matchingMessageIds = [...messageBossData.entries()]
+      .filter(([, bossData]) => {
+        if (monster && (bossData.monster || '').toLowerCase() !== monster && String(bossData.id || '').toLowerCase() !== monster) {
+          return false
+        }
+        if (statuses && !statuses.includes(getAlertStatus(bossData))) {
+          return false
+        }
+        if (from || to) {
+          const respawnTime = calculateRespawnTime(bossData)
+          if (!respawnTime || isNaN(respawnTime.getTime())) return false
+          if (from && respawnTime.getTime() < from.getTime()) return false
+          if (to && respawnTime.getTime() > to.getTime()) return false
+        }
+        return true
+      })
+      .map(([messageId]) => messageId)
+
+    const withNames = req.query.names !== 'false'
+    const alerts = []
+    for (const messageId of matchingMessageIds) {
+      alerts.push(await serializeBossAlert(messageId, { withNames }))
+    }
+    alerts.sort((a, b) => (a.respawnTime || '').localeCompare(b.respawnTime || ''))
+
+    res.json({
+      success: true,
+      count: alerts.length,
+      alerts
+    })
+  } catch (error) {
+    console.error('Error listing boss alerts:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+app.get('/api/boss-alerts/:messageId', auth.requireScope('read'), async (req, res) => {
+  try {
+    const { messageId } = req.params
+    if (!messageBossData.has(messageId)) {
       return res.status(404).json({
         success: false,
-        error: 'Discord channel not found'
+        error: 'Boss alert not found'
       })
     }
 
-    // Initialize participation data first
-    const initialParticipationData = {
-      participating: new Set(),
-      notParticipating: new Set()
-    }
+    res.json({
+      success: true,
+      alert: await serializeBossAlert(messageId, { withNames: req.query.names !== 'false' })
+    })
+  } catch (error) {
+    console.error('Error fetching boss alert:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
 
-    // Ensure boss data has the required fields for time calculation
-    const processedBossData = {
-      ...bossData,
-      // Make sure we have the right field names for time calculation
-      monster: bossData.monster || bossData.name,
-      name: bossData.name || bossData.monster,
-      respawn_time: bossData.respawn_time,
-      time_of_death: bossData.time_of_death,
-      respawn_hours: bossData.respawn_hours,
-      points: bossData.points,
-      notes: bossData.notes,
-      image_url: bossData.image_url || bossData.display_image
+// Correct a previously sent alert
+app.patch('/api/boss-alerts/:messageId', auth.requireScope('edit'), async (req, res) => {
+  try {
+    const { messageId } = req.params
+    if (!isConnected || !discordClient) {
+      return res.status(503).json({
+        success: false,
+        error: 'Discord bot not connected'
+      })
     }
 
-    const embed = createBossEmbed(processedBossData, initialParticipationData)
-    console.log(`📤 Sending boss notification for: ${processedBossData.monster}`)
-    console.log(`📋 Embed has ${embed.data.fields?.length || 0} fields`)
-    console.log(`⏰ Formatted time: ${formatRespawnTime(processedBossData)}`)
-    console.log(`📅 Formatted date: ${formatDiscordDate(processedBossData)}`)
-    console.log(`🕐 Calculated respawn time: ${calculateRespawnTime(processedBossData)?.toISOString() || 'null'}`)
+    const validationError = validateBossAlertChanges(req.body)
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      })
+    }
 
-    const message = await channel.send({ embeds: [embed] })
+    const edited = await editBossAlert(messageId, req.body)
+    if (!edited) {
+      return res.status(404).json({
+        success: false,
+        error: 'Boss alert not found'
+      })
+    }
 
-    await message.react('✅')
-    await message.react('❌')
+    const { bossData, rendered } = edited
+    if (!rendered) {
+      // The edit is saved, but Discord still shows the old alert
+      return res.status(502).json({
+        success: false,
+        error: ALERT_RENDER_ERROR,
+        messageId,
+        boss: toBossDefinition(bossData)
+      })
+    }
 
-    participationData.set(message.id, initialParticipationData)
-    // Store boss data for this message to enable respawn time updates
-    messageBossData.set(message.id, processedBossData)
+    res.json({
+      success: true,
+      messageId,
+      channelId: getAlertChannelId(messageId),
+      boss: toBossDefinition(bossData),
+      respawnTime: calculateRespawnTime(bossData)?.toISOString() || null
+    })
+  } catch (error) {
+    console.error('Error editing boss alert:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
 
-    console.log(`✅ Boss notification sent successfully! Message ID: ${message.id}`)
+// Cancel a previously sent alert (?mode=delete removes the Discord message instead)
+app.delete('/api/boss-alerts/:messageId', auth.requireScope('edit'), async (req, res) => {
+  try {
+    const { messageId } = req.params
+    if (!isConnected || !discordClient) {
+      return res.status(503).json({
+        success: false,
+        error: 'Discord bot not connected'
+      })
+    }
 
-    console.log(`📢 Boss notification sent: ${bossData.monster}`)
+    const remove = req.query.mode === 'delete'
+    const cancelled = await cancelBossAlert(messageId, { remove })
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        error: 'Boss alert not found'
+      })
+    }
 
     res.json({
       success: true,
-      messageId: message.id,
-      channelId: channel.id
+      messageId,
+      status: remove ? 'deleted' : 'cancelled'
     })
   } catch (error) {
-    console.error('Error sending boss notification:', error)
+    console.error('Error cancelling boss alert:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Carry out a Supabase webhook plan (see ingest.js) - returns { status, body }
+async function applyIngestPlan(plan) {
+  if (plan.action === 'post') {
+    // A row the website already sent refreshes the existing alert instead of posting twice
+    return sendBossAlertOnce(normalizeBossData(plan.boss), { onDuplicate: 'refresh' })
+  }
+
+  if (plan.action === 'close') {
+    const closedMessageIds = await recordBossDeath(plan.boss.monster, plan.killedAt, 'Supabase')
+    return { status: 200, body: { success: true, action: 'close', messageIds: closedMessageIds } }
+  }
+
+  // refresh - edit the boss's tracked alerts, or just its schedule when none is up
+  const validationError = validateBossAlertChanges(plan.changes)
+  if (validationError) {
+    return { status: 400, body: { success: false, error: validationError } }
+  }
+
+  const key = getScheduleKey(plan.boss)
+  const messageIds = [...messageBossData.entries()]
+    .filter(([, bossData]) => getScheduleKey(bossData) === key)
+    .map(([messageId]) => messageId)
+  const failedMessageIds = []
+  for (const messageId of messageIds) {
+    if (!(await editBossAlert(messageId, plan.changes))?.rendered) {
+      failedMessageIds.push(messageId)
+    }
+  }
+  if (failedMessageIds.length > 0) {
+    return { status: 502, body: { success: false, error: ALERT_RENDER_ERROR, action: 'refresh', messageIds, failedMessageIds } }
+  }
+
+  let scheduled = false
+  if (messageIds.length === 0) {
+    const processedBossData = normalizeBossData(plan.boss)
+    if (hasRespawnTimer(processedBossData) || bossScheduler.find(processedBossData.monster)) {
+      await bossScheduler.track(processedBossData)
+      scheduled = true
+    }
+  }
+  return { status: 200, body: { success: true, action: 'refresh', messageIds, scheduled } }
+}
+
+// Supabase database webhook for the boss table - verified with SUPABASE_WEBHOOK_SECRET rather than API credentials
+app.post('/api/ingest/supabase', async (req, res) => {
+  try {
+    if (!verifyWebhookSecret(req.headers, process.env.SUPABASE_WEBHOOK_SECRET)) {
+      console.log(`❌ Rejected Supabase webhook from ${req.ip}: missing or wrong secret`)
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook secret'
+      })
+    }
+
+    const plan = planIngest(req.body, { table: supabaseBossTable, statusActions: supabaseStatusActions, timeZone: DISPLAY_TIMEZONE })
+    if (plan.error) {
+      return res.status(400).json({
+        success: false,
+        error: plan.error
+      })
+    }
+    if (plan.action === 'ignore') {
+      console.log(`📥 Ignored Supabase ${req.body.type} for ${req.body.record?.monster || 'unknown boss'}: ${plan.reason}`)
+      return res.json({ success: true, action: 'ignore', reason: plan.reason })
+    }
+
+    if (!isConnected || !discordClient) {
+      return res.status(503).json({
+        success: false,
+        error: 'Discord bot not connected'
+      })
+    }
+
+    console.log(`📥 Supabase ${req.body.type} for ${plan.boss.monster}: ${plan.action}`)
+    const result = await applyIngestPlan(plan)
+    res.status(result.status).json({ action: plan.action, ...result.body })
+  } catch (error) {
+    console.error('Error handling Supabase webhook:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Boss catalog (see catalog.js)
+app.get('/api/bosses', auth.requireScope('read'), (req, res) => {
+  res.json({
+    success: true,
+    bosses: bossCatalog.list()
+  })
+})
+
+app.get('/api/bosses/:monster', auth.requireScope('read'), (req, res) => {
+  const boss = bossCatalog.find(req.params.monster)
+  if (!boss) {
+    return res.status(404).json({
+      success: false,
+      error: 'Boss not found in the catalog'
+    })
+  }
+  res.json({ success: true, boss })
+})
+
+// Add a boss to the catalog
+app.post('/api/bosses', auth.requireScope('edit'), async (req, res) => {
+  try {
+    const monster = req.body?.monster
+    if (!monster || typeof monster !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'monster is required'
+      })
+    }
+    if (bossCatalog.find(monster)) {
+      return res.status(409).json({
+        success: false,
+        error: `${bossCatalog.find(monster).monster} is already in the catalog`
+      })
+    }
+
+    const { entry, error } = await bossCatalog.upsert(monster, req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      })
+    }
+
+    console.log(`📖 Added ${entry.monster} to the boss catalog`)
+    res.status(201).json({ success: true, boss: entry })
+  } catch (error) {
+    console.error('Error adding boss to the catalog:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Change a catalogued boss - null clears a field
+app.patch('/api/bosses/:monster', auth.requireScope('edit'), async (req, res) => {
+  try {
+    if (!bossCatalog.find(req.params.monster)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Boss not found in the catalog'
+      })
+    }
+
+    const { entry, error } = await bossCatalog.upsert(req.params.monster, req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      })
+    }
+
+    console.log(`📖 Updated ${entry.monster} in the boss catalog`)
+    res.json({ success: true, boss: entry })
+  } catch (error) {
+    console.error('Error updating the boss catalog:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+app.delete('/api/bosses/:monster', auth.requireScope('edit'), async (req, res) => {
+  try {
+    const removed = await bossCatalog.remove(req.params.monster)
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Boss not found in the catalog'
+      })
+    }
+
+    console.log(`📖 Removed ${removed.monster} from the boss catalog`)
+    res.json({ success: true, boss: removed })
+  } catch (error) {
+    console.error('Error removing boss from the catalog:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+// Outbound webhooks - subscribers get a signed POST for each bot event they asked for
+app.get('/api/webhooks', auth.requireScope('edit'), (req, res) => {
+  res.json({
+    success: true,
+    webhooks: outboundWebhooks.list()
+  })
+})
+
+// Delivery log for one subscriber, most recent first
+app.get('/api/webhooks/:id/deliveries', auth.requireScope('edit'), (req, res) => {
+  if (!outboundWebhooks.find(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    })
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+  res.json({
+    success: true,
+    deliveries: outboundWebhooks.getDeliveries({ webhookId: req.params.id, limit })
+  })
+})
+
+app.post('/api/webhooks', auth.requireScope('edit'), async (req, res) => {
+  try {
+    const { webhook, error } = await outboundWebhooks.create(req.body)
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      })
+    }
+
+    console.log(`🪝 Added webhook ${webhook.id} for ${webhook.events.join(', ')} to ${webhook.url}`)
+    res.status(201).json({ success: true, webhook })
+  } catch (error) {
+    console.error('Error adding webhook:', error)
+    res.status(500).json({
+      success: false,
+      error: error.message
+    })
+  }
+})
+
+app.delete('/api/webhooks/:id', auth.requireScope('edit'), async (req, res) => {
+  try {
+    const removed = await outboundWebhooks.remove(req.params.id)
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      })
+    }
+
+    console.log(`🪝 Removed webhook ${removed.id} to ${removed.url}`)
+    res.json({ success: true, webhook: removed })
+  } catch (error) {
+    console.error('Error removing webhook:', error)
     res.status(500).json({
       success: false,
       error: error.message
@@ -738,6 +3277,55 @@ app.post('/api/send-boss', async (req, res) => {
 // Start the server
 async function startServer() {
   console.log('🚀 Starting Discord Bot Server...')
+
+  // Restore state from before the last restart
+  storage = await createStorage()
+  await loadTrackedMessages()
+
+  bossCatalog = createBossCatalog({ storage })
+  await bossCatalog.load()
+
+  outboundWebhooks = createWebhooks({ storage })
+  await outboundWebhooks.load()
+  eventStream.subscribe(event => outboundWebhooks.dispatch(event))
+
+  bossScheduler = createBossScheduler({
+    storage,
+    calculateRespawnTime,
+    onAlertDue: handleScheduledAlert,
+    canSend: () => isConnected && !!discordClient,
+    timeZone: DISPLAY_TIMEZONE
+  })
+  await bossScheduler.load()
+
+  pointsLedger = createPointsLedger({ storage })
+  await pointsLedger.load()
+
+  idempotencyStore = createIdempotencyStore({ storage })
+  await idempotencyStore.load()
+
+  subscriptionStore = createSubscriptionStore({ storage })
+  await subscriptionStore.load()
+
+  userSettings = createUserSettings({ storage })
+  await userSettings.load()
+
+  bossBoard = createBossBoard({
+    storage,
+    getRows: getBoardRows,
+    fetchChannel: channelId => discordClient.channels.fetch(channelId).catch(() => null)
+  })
+  await bossBoard.load()
+
+  reminderScheduler = createReminderScheduler({
+    storage,
+    userSettings,
+    getAlerts: getReminderAlerts,
+    sendReminder: sendParticipantReminder,
+    canSend: () => isConnected && !!discordClient,
+    getTimeZone: (userId, alert) => getMemberTimeZone(userId, discordClient?.channels.cache.get(getAlertChannelId(alert.messageId))?.guildId)
+  })
+  await reminderScheduler.load()
   
   // Initialize Discord bot
   const botInitialized = await initializeDiscordBot()
@@ -766,6 +3354,10 @@ process.on('SIGINT', async () => {
     await discordClient.destroy()
     console.log('🤖 Discord bot disconnected')
   }
+
+  if (storage) {
+    await storage.close()
+  }
   
   process.exit(0)
 })
@@ -0,0 +1,170 @@
+/**
+ * Rate-limit-aware message edits
+ *
+ * A busy alert gets several clicks a second, and each one used to trigger a
+ * full message edit. The edit queue coalesces them: edits for the same message
+ * are debounced (EDIT_DEBOUNCE_MS, default 1500) and only the latest runs, never
+ * more than one at a time per message. When Discord answers 429 the whole queue
+ * pauses for the retry-after period and the edit is retried. Rate limits on
+ * other routes (reactions, posting alerts, ...) don't hold edits back.
+ *
+ * Display names are cached for NAME_CACHE_MINUTES (default 10) so re-rendering
+ * a roster doesn't look up every participant again.
+ */
+
+const MAX_ATTEMPTS = 5
+// However busy a message is, it is edited at least this often
+const MAX_WAIT_FACTOR = 4
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Whether an error is Discord telling us to slow down
+export function isRateLimitError(error) {
+  return error?.status === 429 || error?.httpStatus === 429 || error?.name === 'RateLimitError'
+}
+
+// Whether a discord.js rateLimited event is for editing a message, the only route the queue sends
+export function isMessageEditRateLimit(info) {
+  return String(info?.method || '').toUpperCase() === 'PATCH' && info.route === '/channels/:id/messages/:id'
+}
+
+// How long to wait before retrying after a rate limit, falling back to exponential backoff
+export function getRetryAfterMs(error, attempt = 0) {
+  const retryAfter = Number(error?.retryAfter ?? error?.timeToReset)
+  return retryAfter > 0 ? retryAfter : Math.min(1000 * 2 ** attempt, 30 * 1000)
+}
+
+export function createEditQueue({ debounceMs = parseInt(process.env.EDIT_DEBOUNCE_MS, 10) || 1500 } = {}) {
+  // key -> { task, waiters, timer, deadline }
+  const pending = new Map()
+  const running = new Set()
+  let pausedUntil = 0
+
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms)
+  }
+
+  async function runWithBackoff(key, task) {
+    for (let attempt = 0; ; attempt++) {
+      while (Date.now() < pausedUntil) {
+        await sleep(pausedUntil - Date.now())
+      }
+
+      try {
+        return await task()
+      } catch (error) {
+        if (!isRateLimitError(error) || attempt + 1 >= MAX_ATTEMPTS) {
+          throw error
+        }
+        const delay = getRetryAfterMs(error, attempt)
+        console.log(`⏳ Rate limited while editing ${key}, retrying in ${Math.ceil(delay / 1000)}s`)
+        pause(delay)
+      }
+    }
+  }
+
+  function arm(key, delay) {
+    const entry = pending.get(key)
+    clearTimeout(entry.timer)
+    entry.timer = setTimeout(() => flush(key), Math.max(0, Math.min(delay, entry.deadline - Date.now())))
+  }
+
+  async function flush(key) {
+    const entry = pending.get(key)
+    if (!entry) return
+
+    // One edit per message at a time - this one runs as soon as the current edit is done
+    if (running.has(key)) {
+      entry.due = true
+      return
+    }
+    pending.delete(key)
+    running.add(key)
+
+    let result = null
+    try {
+      result = await runWithBackoff(key, entry.task)
+    } catch (error) {
+      console.error(`❌ Queued edit for ${key} failed:`, error.message)
+    } finally {
+      running.delete(key)
+    }
+
+    for (const resolve of entry.waiters) {
+      resolve(result)
+    }
+
+    if (pending.get(key)?.due) {
+      flush(key)
+    }
+  }
+
+  return {
+    /**
+     * Queue task for key, replacing any task still waiting for the same key.
+     * Resolves with the task's result (null if it failed or was cancelled) once
+     * the edit that covers this call has run.
+     */
+    schedule(key, task, { delay = debounceMs } = {}) {
+      return new Promise(resolve => {
+        const entry = pending.get(key) || { waiters: [], timer: null, deadline: Date.now() + debounceMs * MAX_WAIT_FACTOR }
+        entry.task = task
+        entry.waiters.push(resolve)
+        pending.set(key, entry)
+        arm(key, delay)
+      })
+    },
+
+    // Drop a waiting edit (e.g. the alert was closed)
+    cancel(key) {
+      const entry = pending.get(key)
+      if (!entry) return
+      clearTimeout(entry.timer)
+      pending.delete(key)
+      for (const resolve of entry.waiters) {
+        resolve(null)
+      }
+    },
+
+    // Hold every edit back, e.g. when the REST client reports a rate limit
+    pause,
+
+    get size() {
+      return pending.size
+    }
+  }
+}
+
+// Cache of display names by key (e.g. user ID); fetchName may throw, and failures are not cached
+export function createNameCache({ fetchName, ttlMs }) {
+  const ttl = ttlMs || (parseFloat(process.env.NAME_CACHE_MINUTES) || 10) * 60 * 1000
+  const names = new Map()
+  const inFlight = new Map()
+
+  return {
+    async get(key) {
+      const cached = names.get(key)
+      if (cached && cached.expiresAt > Date.now()) {
+        return cached.name
+      }
+
+      // Concurrent renders share one lookup
+      if (!inFlight.has(key)) {
+        inFlight.set(key, (async () => {
+          try {
+            const name = await fetchName(key)
+            names.set(key, { name, expiresAt: Date.now() + ttl })
+            return name
+          } finally {
+            inFlight.delete(key)
+          }
+        })())
+      }
+      return inFlight.get(key)
+    },
+
+    invalidate(key) {
+      names.delete(key)
+    }
+  }
+}
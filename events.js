@@ -0,0 +1,104 @@
+/**
+ * Real-time event stream (Server-Sent Events)
+ *
+ * The website subscribes with `new EventSource('/api/events?access_token=...')`
+ * and receives typed events as the bot works:
+ *   alert-posted, alert-updated, alert-killed, alert-cancelled, alert-expired,
+ *   participation-changed, boss-available, bot-connected, bot-disconnected
+ *
+ * Each event carries an increasing id, seeded from the startup time (in
+ * milliseconds) so ids keep increasing across restarts and a client resuming
+ * with an id from before the restart is not mistaken as up to date. Recent events are kept in memory so a
+ * client that reconnects with Last-Event-ID gets what it missed. Listeners
+ * added with subscribe() get every event too (see webhooks.js).
+ */
+
+export const EVENT_TYPES = [
+  'alert-posted', 'alert-updated', 'alert-killed', 'alert-cancelled', 'alert-expired',
+  'participation-changed', 'boss-available', 'bot-connected', 'bot-disconnected'
+]
+
+const HISTORY_SIZE = 200
+const HEARTBEAT_INTERVAL_MS = 25 * 1000
+
+export function createEventStream() {
+  const clients = new Set()
+  const listeners = new Set()
+  const history = []
+  let lastEventId = Date.now()
+
+  function write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+  }
+
+  return {
+    // Send an event to every connected client
+    publish(type, data = {}) {
+      const event = {
+        id: ++lastEventId,
+        type,
+        timestamp: new Date().toISOString(),
+        data
+      }
+
+      history.push(event)
+      if (history.length > HISTORY_SIZE) {
+        history.shift()
+      }
+
+      for (const res of clients) {
+        write(res, event)
+      }
+      for (const listener of listeners) {
+        try {
+          listener(event)
+        } catch (error) {
+          console.error(`❌ Event listener failed on ${type}:`, error.message)
+        }
+      }
+      return event
+    },
+
+    // Call a function with every event published from now on; returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    // Express handler for GET /api/events
+    handler(req, res) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop proxies (Railway, nginx) from buffering the stream
+        'X-Accel-Buffering': 'no'
+      })
+      res.flushHeaders()
+      res.write('retry: 5000\n\n')
+
+      // Replay anything the client missed while reconnecting
+      const resumeFrom = parseInt(req.get('last-event-id') || req.query.lastEventId, 10)
+      if (!isNaN(resumeFrom)) {
+        for (const event of history) {
+          if (event.id > resumeFrom) write(res, event)
+        }
+      }
+
+      clients.add(res)
+      console.log(`📡 Event stream client connected (${clients.size} connected)`)
+
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS)
+
+      req.on('close', () => {
+        clearInterval(heartbeat)
+        clients.delete(res)
+        console.log(`📡 Event stream client disconnected (${clients.size} connected)`)
+      })
+    },
+
+    get clientCount() {
+      return clients.size
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Idempotency for alert-posting requests
+ *
+ * Clients send an Idempotency-Key header with POST /api/send-boss. The first
+ * successful response for a key is remembered (for IDEMPOTENCY_TTL_HOURS, default
+ * 24) and replayed for any retry with the same key, so a double-click or a
+ * network retry never posts a second alert. Reusing a key with a different body
+ * is rejected as a conflict.
+ *
+ * Keys belong to the API caller that sent them (the authenticated API key, HMAC
+ * secret or Supabase user), so two callers picking the same key never see each
+ * other's responses.
+ *
+ * Remembered responses are persisted in the "idempotency-keys" storage collection.
+ */
+
+import crypto from 'crypto'
+
+// Run async work one at a time per key (e.g. per boss) so concurrent requests can't race
+export function createKeyedLock() {
+  const tails = new Map()
+
+  return {
+    async run(key, fn) {
+      const previous = tails.get(key) || Promise.resolve()
+      const current = previous.then(fn, fn)
+      const tail = current.catch(() => {})
+      tails.set(key, tail)
+
+      try {
+        return await current
+      } finally {
+        if (tails.get(key) === tail) {
+          tails.delete(key)
+        }
+      }
+    }
+  }
+}
+
+// Hash of the request body, used to spot a key reused for a different request
+export function fingerprintBody(body) {
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : JSON.stringify(body ?? null)
+  return crypto.createHash('sha256').update(text).digest('hex')
+}
+
+export function createIdempotencyStore({ storage, ttlMs }) {
+  const ttl = ttlMs || (parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000
+  const records = new Map()
+  const inFlight = new Map()
+
+  function prune(now = Date.now()) {
+    for (const [key, record] of records.entries()) {
+      if (now - new Date(record.createdAt).getTime() > ttl) {
+        records.delete(key)
+      }
+    }
+  }
+
+  async function save() {
+    prune()
+    try {
+      await storage.write('idempotency-keys', Object.fromEntries(records))
+    } catch (error) {
+      console.error('❌ Failed to persist idempotency keys:', error.message)
+    }
+  }
+
+  return {
+    async load() {
+      const stored = await storage.read('idempotency-keys', {})
+      for (const [key, record] of Object.entries(stored)) {
+        records.set(key, record)
+      }
+      prune()
+    },
+
+    /**
+     * Run fn (which resolves to { status, body }) at most once per key and caller.
+     * Resolves to { status, body, replayed } or { conflict: true } when the key
+     * was already used for a different request body.
+     */
+    async run(idempotencyKey, fingerprint, fn, { principal = 'anonymous' } = {}) {
+      if (!idempotencyKey) {
+        return { ...(await fn()), replayed: false }
+      }
+
+      const key = `${principal}:${idempotencyKey}`
+      prune()
+      const record = records.get(key)
+      if (record) {
+        if (record.fingerprint !== fingerprint) {
+          return { conflict: true }
+        }
+        console.log(`🔁 Replaying response for Idempotency-Key ${key}`)
+        return { status: record.status, body: record.body, replayed: true }
+      }
+
+      // A retry that arrives while the first request is still running waits for it
+      if (inFlight.has(key)) {
+        const pending = inFlight.get(key)
+        if (pending.fingerprint !== fingerprint) {
+          return { conflict: true }
+        }
+        const result = await pending.promise
+        return { ...result, replayed: true }
+      }
+
+      const promise = (async () => {
+        const result = await fn()
+        // Only remember successes so a failed request can be retried with the same key
+        if (result.status >= 200 && result.status < 300) {
+          records.set(key, { fingerprint, status: result.status, body: result.body, createdAt: new Date().toISOString() })
+          await save()
+        }
+        return result
+      })()
+
+      inFlight.set(key, { fingerprint, promise })
+      try {
+        return { ...(await promise), replayed: false }
+      } finally {
+        inFlight.delete(key)
+      }
+    }
+  }
+}
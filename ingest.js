@@ -0,0 +1,125 @@
+/**
+ * Supabase boss-table ingest
+ *
+ * Supabase database webhooks call POST /api/ingest/supabase on every INSERT or
+ * UPDATE of the boss table, so Discord follows the website's data without it
+ * having to POST /api/send-boss. Supabase sends the row as:
+ *   { type: 'INSERT' | 'UPDATE' | 'DELETE', table, schema, record, old_record }
+ *
+ * Webhooks are verified with SUPABASE_WEBHOOK_SECRET: add it to the webhook as
+ * an "X-Webhook-Secret" header (or "Authorization: Bearer <secret>").
+ *
+ * What a row change does:
+ *   - a new row, or a status change, runs the status's action from
+ *     SUPABASE_STATUS_ACTIONS (JSON map of status to post, close or ignore;
+ *     default {"PENDING":"post","KILLED":"close","DEAD":"close"})
+ *   - any other change to an alert field (e.g. time_of_death) refreshes the
+ *     boss's tracked alerts
+ *   - bookkeeping-only changes (notified, failed_attempts, ...) and deletes are ignored
+ */
+
+import { safeEqual } from './auth.js'
+import { DEFAULT_TIMEZONE, parsePayloadTime } from './timezone.js'
+
+const DEFAULT_STATUS_ACTIONS = { PENDING: 'post', KILLED: 'close', DEAD: 'close' }
+const ACTIONS = ['post', 'close', 'ignore']
+
+// Boss row columns that show up on an alert
+export const SYNCED_FIELDS = ['monster', 'name', 'respawn_time', 'time_of_death', 'respawn_hours', 'points', 'notes', 'image_url', 'display_image']
+
+// Parse SUPABASE_STATUS_ACTIONS into an { [STATUS]: action } map
+export function parseStatusActions(value) {
+  if (!value) {
+    return DEFAULT_STATUS_ACTIONS
+  }
+
+  try {
+    const actions = {}
+    for (const [status, action] of Object.entries(JSON.parse(value))) {
+      if (ACTIONS.includes(action)) {
+        actions[status.toUpperCase()] = action
+      } else {
+        console.warn(`⚠️ Ignoring unknown action "${action}" for status ${status} in SUPABASE_STATUS_ACTIONS`)
+      }
+    }
+    return actions
+  } catch (error) {
+    console.error('❌ SUPABASE_STATUS_ACTIONS is not valid JSON, using the defaults:', error.message)
+    return DEFAULT_STATUS_ACTIONS
+  }
+}
+
+// Whether a webhook request carries the shared secret
+export function verifyWebhookSecret(headers, secret) {
+  if (!secret) {
+    return false
+  }
+  const bearer = String(headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1]
+  const provided = headers['x-webhook-secret'] || bearer
+  return Boolean(provided) && safeEqual(provided, secret)
+}
+
+// Synced columns whose value differs between two versions of a row
+function getChangedFields(record, oldRecord) {
+  return SYNCED_FIELDS.filter(field => JSON.stringify(record[field] ?? null) !== JSON.stringify(oldRecord[field] ?? null))
+}
+
+/**
+ * Work out what a webhook payload means for Discord. Returns one of:
+ *   { action: 'post', boss }
+ *   { action: 'close', boss, killedAt: Date }
+ *   { action: 'refresh', boss, changes: { field: value } }
+ *   { action: 'ignore', reason }
+ *   { error } for payloads that are not Supabase row webhooks
+ * An offset-less time_of_death is read in timeZone (DISPLAY_TIMEZONE).
+ */
+export function planIngest(payload, { table = 'bosses', statusActions = DEFAULT_STATUS_ACTIONS, timeZone = DEFAULT_TIMEZONE } = {}) {
+  if (!payload || typeof payload !== 'object' || !payload.type || !payload.table) {
+    return { error: 'Expected a Supabase database webhook payload' }
+  }
+  if (payload.table !== table) {
+    return { action: 'ignore', reason: `table ${payload.table} is not synced` }
+  }
+  if (payload.type === 'DELETE') {
+    return { action: 'ignore', reason: 'deleted rows are not synced' }
+  }
+  if (!['INSERT', 'UPDATE'].includes(payload.type)) {
+    return { error: `Unsupported webhook type ${payload.type}` }
+  }
+
+  const boss = payload.record
+  if (!boss || typeof boss !== 'object' || !boss.monster) {
+    return { error: 'record.monster is required' }
+  }
+
+  const oldRecord = payload.type === 'UPDATE' ? payload.old_record || {} : null
+  const status = String(boss.status || '').toUpperCase()
+  if (!oldRecord || status !== String(oldRecord.status || '').toUpperCase()) {
+    const action = statusActions[status] || 'ignore'
+    if (action === 'post') {
+      return { action: 'post', boss }
+    }
+    if (action === 'close') {
+      return { action: 'close', boss, killedAt: parsePayloadTime(boss.time_of_death, timeZone) || new Date() }
+    }
+    if (!oldRecord) {
+      return { action: 'ignore', reason: `new row with status ${status || '(none)'}` }
+    }
+  }
+
+  const changedFields = getChangedFields(boss, oldRecord)
+  if (changedFields.length === 0) {
+    return { action: 'ignore', reason: 'no alert fields changed' }
+  }
+
+  const changes = {}
+  for (const field of changedFields) {
+    if (field === 'display_image') {
+      // The website's display_image is the alert's image when there is no image_url
+      changes.image_url = boss.image_url || boss.display_image || null
+    } else {
+      changes[field] = boss[field] ?? null
+    }
+  }
+  return { action: 'refresh', boss, changes }
+}
@@ -0,0 +1,167 @@
+/**
+ * Attendance and points ledger
+ *
+ * Every time a boss alert is closed (the boss was killed) the ledger records a
+ * kill entry with a snapshot of who signed up and credits each participating
+ * member with the boss's points.
+ *
+ * Entries are persisted in the "points-ledger" storage collection:
+ *   { id, killId, messageId, messageIds: [messageId], guildId, bossKey, monster, location, points,
+ *     killedAt, killedBy, participating: [userId], notParticipating: [userId], maybe: [userId] }
+ *
+ * An alert routed to several channels is one kill: its copies share a killId
+ * (the first copy's message ID) and are folded into one entry, so members who
+ * joined on more than one copy are credited once. guildId is the server of the
+ * first copy; entries recorded before it was stored have none and are listed
+ * for every server.
+ *
+ * The entry is the only record of a closed alert once it stops being tracked;
+ * killedBy is the officer who recorded the kill ("Supabase" for ingested kills).
+ *
+ * Only members who joined (participating) are credited; maybe / late sign-ups are
+ * kept for the record.
+ *
+ * Once an officer confirms who showed up (/boss attendance), the entry also
+ * carries attended: [userId] and attendanceConfirmedAt, which the attendance
+ * statistics use for no-show rates (see stats.js).
+ */
+
+// Rolling leaderboard periods
+export const LEADERBOARD_PERIODS = {
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  all: null
+}
+
+// Add the IDs in extra that list doesn't have yet
+function union(list, extra) {
+  return [...new Set([...list, ...extra])]
+}
+
+// Start of a leaderboard period, or null for all time
+export function getPeriodStart(period = 'all', now = new Date()) {
+  if (!Object.hasOwn(LEADERBOARD_PERIODS, period)) {
+    throw new Error(`Unknown period "${period}" (expected ${Object.keys(LEADERBOARD_PERIODS).join(', ')})`)
+  }
+  const duration = LEADERBOARD_PERIODS[period]
+  return duration ? new Date(now.getTime() - duration) : null
+}
+
+export function createPointsLedger({ storage }) {
+  let entries = []
+
+  async function save() {
+    try {
+      await storage.write('points-ledger', entries)
+    } catch (error) {
+      console.error('❌ Failed to persist points ledger:', error.message)
+    }
+  }
+
+  function entriesSince(since) {
+    return since ? entries.filter(entry => new Date(entry.killedAt).getTime() >= since.getTime()) : entries
+  }
+
+  return {
+    async load() {
+      entries = await storage.read('points-ledger', [])
+      console.log(`💰 Restored ${entries.length} points ledger entries`)
+    },
+
+    // Snapshot a closed alert and credit its participants
+    // killId groups routed copies of one alert (defaults to the alert's own message ID)
+    async recordKill({ messageId, killId = messageId, guildId = null, boss, killedAt, killedBy = null, participation }) {
+      const existing = entries.find(entry => (entry.killId || entry.messageId) === killId)
+      if (existing) {
+        // Closing the same alert twice must not pay out twice
+        const messageIds = existing.messageIds || [existing.messageId]
+        if (messageIds.includes(messageId)) {
+          return null
+        }
+
+        // Another copy of a kill already recorded: add its sign-ups, crediting each member once
+        existing.messageIds = [...messageIds, messageId]
+        existing.participating = union(existing.participating, participation.participating)
+        existing.notParticipating = union(existing.notParticipating, participation.notParticipating)
+          .filter(userId => !existing.participating.includes(userId))
+        existing.maybe = union(existing.maybe || [], participation.maybe || [])
+          .filter(userId => !existing.participating.includes(userId))
+        await save()
+        console.log(`💰 Added the sign-ups from another copy of the ${existing.monster} alert (${existing.participating.length} members credited)`)
+        return existing
+      }
+
+      const entry = {
+        id: `${messageId}-${new Date(killedAt).getTime()}`,
+        killId,
+        messageId,
+        messageIds: [messageId],
+        guildId,
+        bossKey: String(boss.id || boss.monster || '').toLowerCase(),
+        monster: boss.monster,
+        location: boss.name || null,
+        points: Number(boss.points) || 0,
+        killedAt: new Date(killedAt).toISOString(),
+        killedBy,
+        participating: [...participation.participating],
+        notParticipating: [...participation.notParticipating],
+        maybe: [...(participation.maybe || [])]
+      }
+
+      entries.push(entry)
+      await save()
+      console.log(`💰 Credited ${entry.points} points to ${entry.participating.length} members for ${entry.monster}`)
+      return entry
+    },
+
+    // Record who showed up to a kill (found by any of its alert copies): every member who joined except the given no-shows
+    async confirmAttendance(messageId, absentUserIds = []) {
+      const entry = entries.find(entry => (entry.messageIds || [entry.messageId]).includes(messageId))
+      if (!entry) {
+        return null
+      }
+
+      entry.attended = entry.participating.filter(userId => !absentUserIds.includes(userId))
+      entry.attendanceConfirmedAt = new Date().toISOString()
+      await save()
+      console.log(`📝 Confirmed attendance for ${entry.monster}: ${entry.attended.length} of ${entry.participating.length} showed up`)
+      return entry
+    },
+
+    // Points and kill count for one member
+    getUserTotals(userId, { since = null } = {}) {
+      let points = 0
+      let kills = 0
+      for (const entry of entriesSince(since)) {
+        if (entry.participating.includes(userId)) {
+          points += entry.points
+          kills++
+        }
+      }
+      return { userId, points, kills }
+    },
+
+    // Members ranked by points (ties broken by kills attended)
+    getLeaderboard({ since = null, limit = 10 } = {}) {
+      const totals = new Map()
+      for (const entry of entriesSince(since)) {
+        for (const userId of entry.participating) {
+          const total = totals.get(userId) || { userId, points: 0, kills: 0 }
+          total.points += entry.points
+          total.kills++
+          totals.set(userId, total)
+        }
+      }
+
+      const ranked = [...totals.values()].sort((a, b) => b.points - a.points || b.kills - a.kills)
+      return limit ? ranked.slice(0, limit) : ranked
+    },
+
+    // Raw kill entries, newest first, optionally for one guild
+    getEntries({ since = null, guildId = null } = {}) {
+      return entriesSince(since)
+        .filter(entry => !guildId || !entry.guildId || entry.guildId === guildId)
+        .sort((a, b) => new Date(b.killedAt) - new Date(a.killedAt))
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Party composition
+ *
+ * Members register their party role once, either with /profile class or by
+ * holding a Discord role mapped in PARTY_ROLES - a JSON object of party role to
+ * Discord role ID (null for /profile only), e.g. {"Tank":"111","Healer":"222","DPS":null}.
+ * A plain JSON array of names works too. The default roles are Tank, Healer and
+ * DPS. A class picked with /profile wins over Discord roles.
+ *
+ * Alerts can carry a required composition - minimum participants per role, e.g.
+ * { "Healer": 2, "Tank": 1 } - and the participation embed flags the roles the
+ * party is still short of.
+ */
+
+export const UNASSIGNED_ROLE = 'Unassigned'
+
+const DEFAULT_PARTY_ROLES = [
+  { name: 'Tank', roleId: null },
+  { name: 'Healer', roleId: null },
+  { name: 'DPS', roleId: null }
+]
+
+// Parse PARTY_ROLES into [{ name, roleId }] in display order
+export function parsePartyRoles(value) {
+  if (!value) {
+    return DEFAULT_PARTY_ROLES
+  }
+
+  try {
+    const parsed = JSON.parse(value)
+    const roles = Array.isArray(parsed)
+      ? parsed.map(name => ({ name: String(name).trim(), roleId: null }))
+      : Object.entries(parsed).map(([name, roleId]) => ({ name: name.trim(), roleId: roleId ? String(roleId) : null }))
+    const valid = roles.filter(role => role.name && role.name !== UNASSIGNED_ROLE)
+    if (valid.length === 0) {
+      throw new Error('no party roles listed')
+    }
+    return valid
+  } catch (error) {
+    console.error('❌ PARTY_ROLES is not valid, using Tank/Healer/DPS:', error.message)
+    return DEFAULT_PARTY_ROLES
+  }
+}
+
+// The configured spelling of a party role (case-insensitive), or null
+export function findPartyRole(partyRoles, value) {
+  const wanted = String(value || '').trim().toLowerCase()
+  return partyRoles.find(role => role.name.toLowerCase() === wanted)?.name || null
+}
+
+// A member's party role: their /profile class, else the first mapped Discord role they hold
+export function resolvePartyRole(partyRoles, { profileClass = null, roleIds = [] } = {}) {
+  const chosen = findPartyRole(partyRoles, profileClass)
+  if (chosen) {
+    return chosen
+  }
+  return partyRoles.find(role => role.roleId && roleIds.includes(role.roleId))?.name || null
+}
+
+/**
+ * Parse a required composition from an object ({ "Healer": 2 }) or text
+ * ("healer:2, tank:1"). Returns { composition } - null when empty - or { error }.
+ */
+export function parseComposition(value, partyRoles) {
+  if (value === undefined || value === null || value === '') {
+    return { composition: null }
+  }
+
+  let entries
+  if (typeof value === 'string') {
+    entries = value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+      const match = part.match(/^(.+?)\s*[:=x]?\s*(\d+)$/i)
+      return match ? [match[1], match[2]] : [part, NaN]
+    })
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    entries = Object.entries(value)
+  } else {
+    return { error: 'composition must be an object of role to minimum count' }
+  }
+
+  const composition = {}
+  for (const [roleName, count] of entries) {
+    const role = findPartyRole(partyRoles, roleName)
+    if (!role) {
+      return { error: `Unknown party role "${roleName}" - use ${partyRoles.map(partyRole => partyRole.name).join(', ')}` }
+    }
+    const minimum = Number(count)
+    if (!Number.isInteger(minimum) || minimum < 0) {
+      return { error: `The minimum for ${role} must be a whole number` }
+    }
+    if (minimum > 0) {
+      composition[role] = minimum
+    }
+  }
+
+  return { composition: Object.keys(composition).length > 0 ? composition : null }
+}
+
+// Roles below their required minimum: [{ role, have, need }]
+export function getCompositionShortfall(counts, composition) {
+  return Object.entries(composition || {})
+    .map(([role, need]) => ({ role, have: counts[role] || 0, need }))
+    .filter(({ have, need }) => have < need)
+}
+
+// Group participants ({ name, role }) by party role, in configured order with unassigned last
+export function groupByPartyRole(participants, partyRoles) {
+  const order = [...partyRoles.map(role => role.name), UNASSIGNED_ROLE]
+  const groups = new Map(order.map(role => [role, []]))
+  for (const { name, role } of participants) {
+    groups.get(role && groups.has(role) ? role : UNASSIGNED_ROLE).push(name)
+  }
+  return order
+    .map(role => ({ role, names: groups.get(role) }))
+    .filter(group => group.names.length > 0)
+}
+
+// Embed field summarising participants per role against the required composition
+export function buildCompositionField(counts, composition, partyRoles) {
+  const shortfall = getCompositionShortfall(counts, composition)
+  const lines = [...partyRoles.map(role => role.name), UNASSIGNED_ROLE]
+    .filter(role => counts[role] || composition?.[role])
+    .map(role => {
+      const need = composition?.[role]
+      if (!need) {
+        return `**${role}:** ${counts[role]}`
+      }
+      const have = counts[role] || 0
+      return `**${role}:** ${have}/${need} ${have >= need ? '✅' : '⚠️'}`
+    })
+
+  if (composition) {
+    lines.unshift(shortfall.length > 0
+      ? `⚠️ **Short:** ${shortfall.map(({ role, have, need }) => `${need - have} ${role}`).join(', ')}`
+      : '✅ **Composition met**')
+  }
+
+  return {
+    name: '🛡️ Party Composition',
+    value: lines.length > 0 ? lines.join('\n') : '*No one yet*',
+    inline: false
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Fixed-schedule bosses
+ *
+ * World and guild bosses spawn at fixed clock times rather than a number of
+ * hours after death. Their respawn_schedule lists the days and times, with an
+ * optional timezone (DISPLAY_TIMEZONE otherwise):
+ *   "Tue/Thu/Sat 20:00 GMT+8", "daily 12:00,20:00", "Mon-Fri 19:30 Europe/London"
+ *
+ * Alerts for these bosses are pinned to the next occurrence through their
+ * respawn_time, which stays final once it passes. Only the scheduler moves on
+ * to the following occurrence, as a new cycle, once the boss is up.
+ */
+
+import { normalizeTimeZone, getZonedDateParts, zonedTimeToDate, getTimeZoneLabel, parsePayloadTime } from './timezone.js'
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const DAY_SETS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+}
+
+// Day of week (0 = Sunday) from a name like "tue" or "tuesday", or null
+function parseDayName(value) {
+  const index = DAY_NAMES.findIndex(day => value.toLowerCase().startsWith(day.toLowerCase()))
+  return index === -1 || !/^[a-z]+$/i.test(value) ? null : index
+}
+
+// Days from "daily", "weekdays", "Tue/Thu/Sat", "Mon-Fri" or a mix, or null
+function parseDays(value) {
+  if (DAY_SETS[value.toLowerCase()]) {
+    return DAY_SETS[value.toLowerCase()]
+  }
+
+  const days = new Set()
+  for (const part of value.split(/[,/]/)) {
+    const [from, to] = part.split('-').map(parseDayName)
+    if (from === null || to === null) {
+      return null
+    }
+    // Ranges may wrap around the week, e.g. Sat-Mon
+    for (let day = from; ; day = (day + 1) % 7) {
+      days.add(day)
+      if (to === undefined || day === to) break
+    }
+  }
+  return [...days].sort()
+}
+
+// Minutes after midnight from "20:00,12:30", or null
+function parseTimes(value) {
+  const times = []
+  for (const part of value.split(/[,/]/)) {
+    const match = part.match(/^(\d{1,2}):(\d{2})$/)
+    if (!match || parseInt(match[1], 10) > 23 || parseInt(match[2], 10) > 59) {
+      return null
+    }
+    times.push(parseInt(match[1], 10) * 60 + parseInt(match[2], 10))
+  }
+  return [...new Set(times)].sort((a, b) => a - b)
+}
+
+/**
+ * Parse a respawn_schedule string into { days, times, timeZone }.
+ * A schedule without days ("20:00") runs daily; timeZone is null unless given.
+ * Returns { schedule } or { error }.
+ */
+export function parseRespawnSchedule(value) {
+  // "Tue, Thu" and "Tue / Thu" read the same as "Tue,Thu"
+  const tokens = String(value || '').trim().replace(/\s*([,/])\s*/g, '$1').split(/\s+/).filter(Boolean)
+  if (tokens.length === 0) {
+    return { error: 'respawn_schedule is empty' }
+  }
+
+  const startsWithTime = /^\d/.test(tokens[0])
+  const days = startsWithTime ? DAY_SETS.daily : parseDays(tokens[0])
+  const times = parseTimes(startsWithTime ? tokens[0] : tokens[1] || '')
+  const zoneInput = tokens.slice(startsWithTime ? 1 : 2).join(' ')
+  const timeZone = zoneInput ? normalizeTimeZone(zoneInput) : null
+
+  if (!days) {
+    return { error: `Could not understand the days in "${value}" - use e.g. Tue/Thu/Sat, Mon-Fri or daily` }
+  }
+  if (!times) {
+    return { error: `Could not understand the times in "${value}" - use HH:MM, e.g. 20:00 or 12:00,20:00` }
+  }
+  if (zoneInput && !timeZone) {
+    return { error: `Unknown timezone "${zoneInput}" in the schedule` }
+  }
+  return { schedule: { days, times, timeZone } }
+}
+
+// The first occurrence of a parsed schedule strictly after a given instant
+export function getNextOccurrence(schedule, after, defaultTimeZone) {
+  const timeZone = schedule.timeZone || defaultTimeZone
+  const today = getZonedDateParts(after, timeZone)
+
+  for (let offset = 0; offset <= 7; offset++) {
+    // Calendar arithmetic in UTC - only the date matters here
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset))
+    if (!schedule.days.includes(date.getUTCDay())) continue
+
+    for (const minutes of schedule.times) {
+      const occurrence = zonedTimeToDate({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: Math.floor(minutes / 60),
+        minute: minutes % 60
+      }, timeZone)
+      if (occurrence.getTime() > after.getTime()) {
+        return occurrence
+      }
+    }
+  }
+  return null
+}
+
+// Next spawn of a fixed-schedule boss after an instant, or null for other bosses
+export function getNextScheduledRespawn(boss, after, defaultTimeZone) {
+  if (!boss.respawn_schedule) {
+    return null
+  }
+  const { schedule } = parseRespawnSchedule(boss.respawn_schedule)
+  return schedule ? getNextOccurrence(schedule, after, defaultTimeZone) : null
+}
+
+/**
+ * When a fixed-schedule boss is due: the occurrence it is pinned to by
+ * respawn_time - even once that has passed, so an earlier occurrence's alert
+ * shows the boss as up rather than counting down to the next one - else the
+ * next occurrence after an instant. null for other bosses.
+ */
+export function getScheduledRespawnTime(boss, after, defaultTimeZone) {
+  if (!boss.respawn_schedule) {
+    return null
+  }
+  const pinned = parsePayloadTime(boss.respawn_time, defaultTimeZone)
+  if (pinned) {
+    return pinned
+  }
+  return getNextScheduledRespawn(boss, after, defaultTimeZone)
+}
+
+// "Tue, Thu, Sat at 20:00 (GMT+8)"
+export function describeRespawnSchedule(value, defaultTimeZone) {
+  const { schedule } = parseRespawnSchedule(value)
+  if (!schedule) {
+    return String(value)
+  }
+
+  const days = schedule.days.length === 7 ? 'Daily' : schedule.days.map(day => DAY_NAMES[day]).join(', ')
+  const times = schedule.times
+    .map(minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`)
+    .join(', ')
+  return `${days} at ${times} (${getTimeZoneLabel(schedule.timeZone || defaultTimeZone)})`
+}
@@ -0,0 +1,162 @@
+/**
+ * DM reminders for members who signed up
+ *
+ * Every member who joined an alert gets a direct message shortly before the
+ * boss respawns, with a link back to the alert. Lead times come from
+ * REMINDER_LEAD_MINUTES (default 10) unless the member picked their own, and
+ * members can opt out or set quiet hours with /reminders (see user-settings.js).
+ *
+ * Sent reminders are persisted in the "dm-reminders" storage collection:
+ *   { [messageId]: { respawnAt, sent: { [userId]: [lead] } } }
+ * Reminders are worked out from each alert's current respawn time, so when it
+ * changes the record is reset and the reminders are rescheduled. Alerts that
+ * are killed or cancelled stop being checked, which cancels their reminders.
+ */
+
+import { parseLeadMinutes } from './scheduler.js'
+import { DEFAULT_TIMEZONE, getZonedDateParts } from './timezone.js'
+import { parseClockMinutes } from './user-settings.js'
+
+const CHECK_INTERVAL_MS = 30 * 1000
+
+// Whether an instant falls inside a member's quiet hours (which may wrap past midnight)
+export function isWithinQuietHours(quietHours, date, timeZone = DEFAULT_TIMEZONE) {
+  if (!quietHours) {
+    return false
+  }
+
+  const start = parseClockMinutes(quietHours.start)
+  const end = parseClockMinutes(quietHours.end)
+  if (start === null || end === null || start === end) {
+    return false
+  }
+
+  const { hour, minute } = getZonedDateParts(date, timeZone)
+  const minutes = hour * 60 + minute
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end
+}
+
+/**
+ * getAlerts returns the alerts to remind for: [{ messageId, boss, respawnAt: Date, userIds }]
+ * sendReminder(alert, userId, leadMinutes) delivers one DM.
+ * getTimeZone(userId, alert) picks the zone a member's quiet hours are in.
+ */
+export function createReminderScheduler({
+  storage,
+  userSettings,
+  getAlerts,
+  sendReminder,
+  canSend = () => true,
+  getTimeZone = () => DEFAULT_TIMEZONE,
+  leadMinutes
+}) {
+  const defaultLeads = leadMinutes || parseLeadMinutes(process.env.REMINDER_LEAD_MINUTES || '10')
+  const records = new Map()
+  let timer = null
+  let checking = false
+
+  async function save() {
+    try {
+      await storage.write('dm-reminders', Object.fromEntries(records))
+    } catch (error) {
+      console.error('❌ Failed to persist DM reminders:', error.message)
+    }
+  }
+
+  return {
+    defaultLeads,
+
+    async load() {
+      const stored = await storage.read('dm-reminders', {})
+      for (const [messageId, record] of Object.entries(stored)) {
+        records.set(messageId, record)
+      }
+      console.log(`📨 Restored DM reminders for ${records.size} alerts (default lead times: ${defaultLeads.join(', ')} min)`)
+    },
+
+    // Send any reminders that are due
+    async check(now = new Date()) {
+      if (checking || !canSend()) {
+        return
+      }
+      checking = true
+
+      try {
+        const alerts = getAlerts()
+        let changed = false
+
+        // Forget alerts that were closed or cancelled
+        const activeIds = new Set(alerts.map(alert => alert.messageId))
+        for (const messageId of records.keys()) {
+          if (!activeIds.has(messageId)) {
+            records.delete(messageId)
+            changed = true
+          }
+        }
+
+        for (const alert of alerts) {
+          const respawnAt = alert.respawnAt.getTime()
+          const respawnIso = alert.respawnAt.toISOString()
+
+          let record = records.get(alert.messageId)
+          if (!record || record.respawnAt !== respawnIso) {
+            // New alert, or its respawn time moved - start over
+            record = { respawnAt: respawnIso, sent: {} }
+            records.set(alert.messageId, record)
+            changed = true
+          }
+
+          if (now.getTime() >= respawnAt) continue
+
+          for (const userId of alert.userIds) {
+            const settings = userSettings.get(userId)
+            if (!settings.dmReminders) continue
+
+            const sent = record.sent[userId] || []
+            const leads = settings.reminderLeads || defaultLeads
+            const dueLeads = leads.filter(lead => !sent.includes(lead) && now.getTime() >= respawnAt - lead * 60 * 1000)
+            if (dueLeads.length === 0) continue
+
+            // Mark as sent first so closed DMs don't get retried every check
+            record.sent[userId] = [...sent, ...dueLeads]
+            changed = true
+
+            if (isWithinQuietHours(settings.quietHours, now, getTimeZone(userId, alert))) {
+              console.log(`🤫 Skipped ${alert.boss.monster} reminder for ${userId} (quiet hours)`)
+              continue
+            }
+
+            // Only the closest lead matters if several became due at once
+            const lead = Math.min(...dueLeads)
+            try {
+              await sendReminder(alert, userId, lead)
+            } catch (error) {
+              console.error(`❌ Could not DM ${alert.boss.monster} reminder to ${userId}:`, error.message)
+            }
+          }
+        }
+
+        if (changed) {
+          await save()
+        }
+      } finally {
+        checking = false
+      }
+    },
+
+    start() {
+      if (timer) return
+      console.log(`📨 Starting DM reminders (every ${CHECK_INTERVAL_MS / 1000} seconds)`)
+      timer = setInterval(() => {
+        this.check().catch(error => console.error('❌ Reminder check failed:', error))
+      }, CHECK_INTERVAL_MS)
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Participant roster formatting
+ *
+ * Members are listed by their guild nickname, optionally followed by a tag for
+ * roles configured in ROSTER_ROLE_TAGS (a JSON object of role ID to tag, e.g.
+ * {"111":"Tank","222":"Healer"} renders "Nick [Tank]").
+ *
+ * Embed fields hold at most 1024 characters and an embed at most 25 fields and
+ * 6000 characters, so long sign-up lists are split across several fields and
+ * only cut short (with a pointer to the Export roster button) when an embed is
+ * completely full.
+ */
+
+const FIELD_VALUE_LIMIT = 1024
+
+// The three sign-up lists in display order
+export const ROSTER_SECTIONS = [
+  { key: 'participating', emoji: '✅', label: 'Participating' },
+  { key: 'maybe', emoji: '⏰', label: 'Maybe / Late' },
+  { key: 'notParticipating', emoji: '❌', label: 'Not Participating' }
+]
+
+// Parse ROSTER_ROLE_TAGS into a { roleId: tag } map
+export function parseRoleTags(value) {
+  if (!value) {
+    return {}
+  }
+
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    console.error('❌ ROSTER_ROLE_TAGS is not valid JSON, showing names without tags:', error.message)
+    return {}
+  }
+}
+
+// Guild nickname plus any configured role tags
+export function formatMemberName(member, roleTags = {}) {
+  const tags = Object.entries(roleTags)
+    .filter(([roleId]) => member.roles?.cache?.has(roleId))
+    .map(([, tag]) => tag)
+  return tags.length > 0 ? `${member.displayName} [${tags.join('/')}]` : member.displayName
+}
+
+// Split names into comma-separated chunks ({ value, count }) that each fit in one field value
+function chunkNames(names) {
+  const chunks = []
+  let current = null
+  for (const name of names) {
+    const next = current ? `${current.value}, ${name}` : name
+    if (current && next.length > FIELD_VALUE_LIMIT) {
+      chunks.push(current)
+      current = { value: name.slice(0, FIELD_VALUE_LIMIT), count: 1 }
+    } else {
+      current = { value: next.slice(0, FIELD_VALUE_LIMIT), count: (current?.count || 0) + 1 }
+    }
+  }
+  if (current) {
+    chunks.push(current)
+  }
+  return chunks
+}
+
+// Sections to render - the participating list is split per party role when groups are given
+function getRosterSections(names, groups) {
+  const sections = ROSTER_SECTIONS.map(section => ({ ...section, names: names[section.key] || [] }))
+  if (!groups) {
+    return sections
+  }
+  return [
+    ...groups.map(group => ({ emoji: '✅', label: `Participating — ${group.role}`, names: group.names })),
+    ...sections.filter(section => section.key !== 'participating')
+  ]
+}
+
+/**
+ * Embed fields listing every section.
+ * names: { participating: [name], maybe: [name], notParticipating: [name] }
+ * groups (optional): [{ role, names }] shown instead of the participating list
+ * Every section gets at least one field; when the rest would not fit in
+ * maxFields / maxChars the remaining names are summarised as "...and N more".
+ */
+export function buildRosterFields(names, { maxFields = 15, maxChars = 4000, groups = null } = {}) {
+  const sections = getRosterSections(names, groups).map(section => {
+    const sectionNames = section.names
+    const chunks = sectionNames.length > 0 ? chunkNames(sectionNames) : [{ value: '*No one yet*', count: 0 }]
+    return {
+      ...section,
+      total: sectionNames.length,
+      fields: [{ name: `${section.emoji} ${section.label} (${sectionNames.length})`, value: chunks[0].value, inline: false }],
+      continuations: chunks.slice(1),
+      hidden: 0
+    }
+  })
+
+  // Room left once every section has its first field and an overflow note fits
+  let fieldsLeft = maxFields - sections.length - 1
+  let charsLeft = maxChars - 200 - sections.reduce((sum, section) => sum + section.fields[0].name.length + section.fields[0].value.length, 0)
+
+  // Continuations fill the remaining room in section order
+  for (const section of sections) {
+    for (const { value, count } of section.continuations) {
+      const name = `${section.emoji} ${section.label} (cont.)`
+      if (fieldsLeft > 0 && name.length + value.length <= charsLeft) {
+        section.fields.push({ name, value, inline: false })
+        fieldsLeft--
+        charsLeft -= name.length + value.length
+      } else {
+        section.hidden += count
+      }
+    }
+  }
+
+  const fields = sections.flatMap(section => section.fields)
+  const hiddenSections = sections.filter(section => section.hidden > 0)
+  if (hiddenSections.length > 0) {
+    const summary = hiddenSections.map(section => `${section.hidden} more ${section.label.toLowerCase()}`).join(', ')
+    fields.push({
+      name: '📋 More sign-ups',
+      value: `*...and ${summary}. Press 📋 Export roster for the full list.*`,
+      inline: false
+    })
+  }
+
+  return fields
+}
+
+function escapeCsv(value) {
+  const text = String(value ?? '')
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * CSV export of the full roster.
+ * entries: { participating: [{ userId, name }], maybe: [...], notParticipating: [...] }
+ */
+export function buildRosterCsv(entries) {
+  const lines = ['status,name,user_id']
+  for (const section of ROSTER_SECTIONS) {
+    for (const { userId, name } of entries[section.key] || []) {
+      lines.push([section.label, name, userId].map(escapeCsv).join(','))
+    }
+  }
+  return lines.join('\n') + '\n'
+}
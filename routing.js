@@ -0,0 +1,116 @@
+/**
+ * Alert routing
+ *
+ * Decides which channels (in any guild the bot is in) a boss alert is posted to.
+ * Rules come from ALERT_ROUTES as a JSON array. A rule matches when every
+ * condition it sets matches the boss:
+ *   - monster: boss name(s) or id(s)
+ *   - region:  location name(s) from the boss's `name` field, e.g. "Floran Fields"
+ *   - minPoints / maxPoints: point tier bounds (inclusive)
+ *
+ * Example:
+ *   ALERT_ROUTES=[
+ *     { "region": "Floran Fields", "channels": ["111"] },
+ *     { "minPoints": 500, "channels": ["222", "333"] },
+ *     { "monster": ["Timitris"], "channels": ["444"], "includeDefault": true }
+ *   ]
+ *
+ * An alert goes to every channel of every matching rule. If no rule matches it
+ * goes to the default channel (DISCORD_CHANNEL_ID); a rule can also opt in to
+ * the default channel with includeDefault.
+ */
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return []
+  }
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim().toLowerCase())
+}
+
+// Parse and validate ALERT_ROUTES
+export function parseRoutes(value) {
+  if (!value) {
+    return []
+  }
+
+  let rules
+  try {
+    rules = JSON.parse(value)
+  } catch (error) {
+    console.error('❌ ALERT_ROUTES is not valid JSON, ignoring routing rules:', error.message)
+    return []
+  }
+
+  if (!Array.isArray(rules)) {
+    console.error('❌ ALERT_ROUTES must be a JSON array, ignoring routing rules')
+    return []
+  }
+
+  return rules.filter((rule, index) => {
+    if (!rule || !Array.isArray(rule.channels) || rule.channels.length === 0) {
+      console.warn(`⚠️ Ignoring ALERT_ROUTES rule #${index + 1}: it needs a non-empty "channels" array`)
+      return false
+    }
+    return true
+  })
+}
+
+function ruleMatches(rule, boss) {
+  const monsters = toList(rule.monster)
+  if (monsters.length > 0) {
+    const bossNames = toList([boss.monster, boss.id].filter(Boolean))
+    if (!bossNames.some(name => monsters.includes(name))) return false
+  }
+
+  const regions = toList(rule.region)
+  if (regions.length > 0 && !regions.includes(String(boss.name || '').trim().toLowerCase())) {
+    return false
+  }
+
+  const points = Number(boss.points) || 0
+  if (rule.minPoints !== undefined && points < rule.minPoints) return false
+  if (rule.maxPoints !== undefined && points > rule.maxPoints) return false
+
+  return true
+}
+
+export function createAlertRouter({ defaultChannelId, rules }) {
+  const routes = rules || parseRoutes(process.env.ALERT_ROUTES)
+  if (routes.length > 0) {
+    console.log(`🧭 Loaded ${routes.length} alert routing rules`)
+  }
+
+  return {
+    routes,
+
+    // Channel IDs a boss alert should be posted to
+    resolveChannels(boss) {
+      const channelIds = new Set()
+      let matched = false
+
+      for (const rule of routes) {
+        if (!ruleMatches(rule, boss)) continue
+        matched = true
+        rule.channels.forEach(channelId => channelIds.add(String(channelId)))
+        if (rule.includeDefault && defaultChannelId) {
+          channelIds.add(defaultChannelId)
+        }
+      }
+
+      if (!matched && defaultChannelId) {
+        channelIds.add(defaultChannelId)
+      }
+
+      return [...channelIds]
+    },
+
+    // Every channel any alert can be routed to
+    getAllChannelIds() {
+      const channelIds = new Set(defaultChannelId ? [defaultChannelId] : [])
+      for (const rule of routes) {
+        rule.channels.forEach(channelId => channelIds.add(String(channelId)))
+      }
+      return [...channelIds]
+    }
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Automatic boss alert scheduler
+ *
+ * Keeps a schedule of tracked bosses (keyed by boss id, or monster name) and
+ * calls onAlertDue when a boss is within one of the configured lead times of
+ * its respawn. Each lead time fires once per respawn cycle; recording a new
+ * time of death starts a new cycle and re-arms every lead time. Fixed-schedule
+ * bosses (see recurrence.js) start their next cycle on their own once they are up.
+ *
+ * The schedule is persisted in the "boss-schedule" storage collection so it
+ * survives restarts.
+ */
+
+import { getNextScheduledRespawn } from './recurrence.js'
+import { DEFAULT_TIMEZONE } from './timezone.js'
+
+const CHECK_INTERVAL_MS = 30 * 1000
+
+// Lead times in minutes from ALERT_LEAD_MINUTES (default "15,5"), largest first
+export function parseLeadMinutes(value) {
+  const leads = String(value || '15,5')
+    .split(',')
+    .map(lead => parseFloat(lead.trim()))
+    .filter(lead => !isNaN(lead) && lead >= 0)
+  return [...new Set(leads)].sort((a, b) => b - a)
+}
+
+// Schedule key for a boss
+export function getScheduleKey(boss) {
+  return String(boss.id || boss.monster || '').trim().toLowerCase()
+}
+
+export function createBossScheduler({ storage, calculateRespawnTime, onAlertDue, canSend = () => true, leadMinutes, timeZone = DEFAULT_TIMEZONE }) {
+  const leads = leadMinutes || parseLeadMinutes(process.env.ALERT_LEAD_MINUTES)
+  const entries = new Map()
+  let timer = null
+  let checking = false
+
+  async function save() {
+    try {
+      await storage.write('boss-schedule', Object.fromEntries(entries))
+    } catch (error) {
+      console.error('❌ Failed to persist boss schedule:', error.message)
+    }
+  }
+
+  function getRespawnAt(boss) {
+    const respawnTime = calculateRespawnTime(boss)
+    return respawnTime && !isNaN(respawnTime.getTime()) ? respawnTime.toISOString() : null
+  }
+
+  return {
+    leads,
+
+    async load() {
+      const stored = await storage.read('boss-schedule', {})
+      for (const [key, entry] of Object.entries(stored)) {
+        entries.set(key, entry)
+      }
+      console.log(`⏲️ Restored ${entries.size} scheduled bosses (lead times: ${leads.join(', ')} min)`)
+    },
+
+    /**
+     * Start (or update) tracking a boss.
+     * If the respawn time changed, the cycle is re-armed. Pass messageId when an
+     * alert for this cycle was already posted so the scheduler does not post another.
+     */
+    async track(boss, { messageId = null } = {}) {
+      const key = getScheduleKey(boss)
+      if (!key) {
+        return null
+      }
+
+      const respawnAt = getRespawnAt(boss)
+      const existing = entries.get(key)
+      const entry = existing && existing.respawnAt === respawnAt
+        ? { ...existing, boss: { ...existing.boss, ...boss } }
+        : { key, boss: { ...boss }, respawnAt, sentLeads: [], messageId: null }
+
+      if (messageId) {
+        entry.messageId = messageId
+      }
+
+      entries.set(key, entry)
+      await save()
+
+      if (!existing || existing.respawnAt !== respawnAt) {
+        console.log(`⏲️ Scheduled ${boss.monster} (respawn ${respawnAt || 'unknown'})`)
+      }
+      return entry
+    },
+
+    // Find a scheduled boss by schedule key or monster name
+    find(monster) {
+      const wantedName = monster.trim().toLowerCase()
+      return entries.get(wantedName) ||
+        [...entries.values()].find(entry => (entry.boss.monster || '').toLowerCase() === wantedName) ||
+        null
+    },
+
+    async untrack(monster) {
+      const entry = this.find(monster)
+      if (!entry) {
+        return false
+      }
+      entries.delete(entry.key)
+      await save()
+      return true
+    },
+
+    // Record a new time of death for a scheduled boss and re-arm its alerts
+    async recordDeath(monster, timeOfDeath) {
+      const entry = this.find(monster)
+      if (!entry) {
+        return null
+      }
+
+      const boss = { ...entry.boss, time_of_death: timeOfDeath.toISOString() }
+      // A stale respawn_time would take priority over the new death time
+      delete boss.respawn_time
+      return this.track(boss)
+    },
+
+    list() {
+      return [...entries.values()]
+    },
+
+    // Fire any lead-time alerts that are due
+    async check(now = new Date()) {
+      if (checking || !canSend()) {
+        return
+      }
+      checking = true
+
+      try {
+        for (const entry of entries.values()) {
+          if (!entry.respawnAt) continue
+
+          const respawnAt = new Date(entry.respawnAt).getTime()
+          // Once the boss is up there's nothing left to announce for this cycle
+          if (now.getTime() >= respawnAt) {
+            const nextRespawn = getNextScheduledRespawn(entry.boss, now, timeZone)
+            if (nextRespawn) {
+              await this.track({ ...entry.boss, respawn_time: nextRespawn.toISOString() })
+            }
+            continue
+          }
+
+          const dueLeads = leads.filter(lead =>
+            !entry.sentLeads.includes(lead) && now.getTime() >= respawnAt - lead * 60 * 1000)
+          if (dueLeads.length === 0) continue
+
+          // After downtime several leads may be due at once - only announce the closest
+          const lead = dueLeads[dueLeads.length - 1]
+          try {
+            const messageId = await onAlertDue(entry, lead)
+            if (messageId) {
+              entry.messageId = messageId
+            }
+            entry.sentLeads.push(...dueLeads)
+            await save()
+          } catch (error) {
+            console.error(`❌ Scheduled alert for ${entry.boss.monster} failed:`, error.message)
+          }
+        }
+      } finally {
+        checking = false
+      }
+    },
+
+    start() {
+      if (timer) return
+      console.log(`⏲️ Starting boss alert scheduler (every ${CHECK_INTERVAL_MS / 1000} seconds)`)
+      timer = setInterval(() => {
+        this.check().catch(error => console.error('❌ Scheduler check failed:', error))
+      }, CHECK_INTERVAL_MS)
+    },
+
+    stop() {
+      clearInterval(timer)
+      timer = null
+    }
+  }
+}
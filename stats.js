@@ -0,0 +1,161 @@
+/**
+ * Attendance statistics
+ *
+ * Reliability reports built from the points ledger's kill entries (see ledger.js).
+ *
+ * Per member:
+ *   - sign-up rate: share of the recorded kills they joined (✅)
+ *   - no-show rate: share of their sign-ups they missed, counted only on kills
+ *     whose attendance an officer confirmed with /boss attendance
+ *   - favorite bosses: the bosses they join most
+ *   - streaks: kills attended in a row, now and at best
+ *
+ * Per boss:
+ *   - average turnout: members present per kill (confirmed attendance where
+ *     recorded, sign-ups otherwise)
+ *   - participation rate: share of the members who answered an alert that
+ *     joined it, overall and week by week
+ *
+ * Rates are fractions between 0 and 1, or null when there is nothing to count.
+ */
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000
+
+const byKillTime = (a, b) => new Date(a.killedAt) - new Date(b.killedAt)
+
+// count / total rounded to three places, or null when total is 0
+function getRate(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : null
+}
+
+// Members counted as present at a kill: confirmed attendance where recorded, else sign-ups
+export function getPresentMembers(entry) {
+  return entry.attended || entry.participating
+}
+
+// "72%", or "—" for a null rate
+export function formatRate(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`
+}
+
+// Reliability report for one member over kill entries
+export function getMemberStats(entries, userId, { favoriteLimit = 3 } = {}) {
+  const bossCounts = new Map()
+  let signUps = 0
+  let confirmedSignUps = 0
+  let noShows = 0
+  let currentStreak = 0
+  let longestStreak = 0
+
+  for (const entry of [...entries].sort(byKillTime)) {
+    if (entry.participating.includes(userId)) {
+      signUps++
+      bossCounts.set(entry.monster, (bossCounts.get(entry.monster) || 0) + 1)
+      if (entry.attended) {
+        confirmedSignUps++
+        if (!entry.attended.includes(userId)) {
+          noShows++
+        }
+      }
+    }
+
+    if (getPresentMembers(entry).includes(userId)) {
+      currentStreak++
+      longestStreak = Math.max(longestStreak, currentStreak)
+    } else {
+      currentStreak = 0
+    }
+  }
+
+  return {
+    userId,
+    kills: entries.length,
+    signUps,
+    signUpRate: getRate(signUps, entries.length),
+    confirmedSignUps,
+    noShows,
+    noShowRate: getRate(noShows, confirmedSignUps),
+    favoriteBosses: [...bossCounts]
+      .map(([monster, count]) => ({ monster, count }))
+      .sort((a, b) => b.count - a.count || a.monster.localeCompare(b.monster))
+      .slice(0, favoriteLimit),
+    currentStreak,
+    longestStreak
+  }
+}
+
+// Turnout and participation over a set of kills of one boss
+function summarizeKills(kills) {
+  let present = 0
+  let joined = 0
+  let answered = 0
+  for (const kill of kills) {
+    present += getPresentMembers(kill).length
+    joined += kill.participating.length
+    answered += kill.participating.length + kill.notParticipating.length + (kill.maybe || []).length
+  }
+
+  return {
+    kills: kills.length,
+    averageTurnout: kills.length > 0 ? Math.round((present / kills.length) * 10) / 10 : null,
+    participationRate: getRate(joined, answered)
+  }
+}
+
+/**
+ * Turnout report for one boss (matched case-insensitively), with a bucket for
+ * each of the last `weeks` weeks, oldest first: [{ start, end, kills, averageTurnout, participationRate }]
+ */
+export function getBossStats(entries, monster, { weeks = 8, now = new Date() } = {}) {
+  const wanted = String(monster || '').trim().toLowerCase()
+  const kills = entries.filter(entry => String(entry.monster || '').toLowerCase() === wanted).sort(byKillTime)
+
+  const weekly = []
+  for (let index = weeks - 1; index >= 0; index--) {
+    const end = now.getTime() - index * WEEK_MS
+    const start = end - WEEK_MS
+    const inWeek = kills.filter(kill => {
+      const killedAt = new Date(kill.killedAt).getTime()
+      return killedAt >= start && killedAt < end
+    })
+    weekly.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString(), ...summarizeKills(inWeek) })
+  }
+
+  return {
+    monster: kills.at(-1)?.monster || monster,
+    ...summarizeKills(kills),
+    lastKilledAt: kills.at(-1)?.killedAt || null,
+    weekly
+  }
+}
+
+// Turnout summary for every boss with a recorded kill, most killed first
+export function getBossOverview(entries) {
+  const killsByBoss = new Map()
+  for (const entry of entries) {
+    const key = String(entry.monster || '').toLowerCase()
+    killsByBoss.set(key, [...(killsByBoss.get(key) || []), entry])
+  }
+
+  return [...killsByBoss.values()]
+    .map(kills => {
+      const sorted = kills.sort(byKillTime)
+      return { monster: sorted.at(-1).monster, ...summarizeKills(sorted), lastKilledAt: sorted.at(-1).killedAt }
+    })
+    .sort((a, b) => b.kills - a.kills || a.monster.localeCompare(b.monster))
+}
+
+// Reliability report for every member who answered an alert, most reliable first
+export function getMemberOverview(entries, { limit = 0 } = {}) {
+  const userIds = new Set()
+  for (const entry of entries) {
+    for (const userId of [...entry.participating, ...entry.notParticipating, ...(entry.maybe || [])]) {
+      userIds.add(userId)
+    }
+  }
+
+  const ranked = [...userIds]
+    .map(userId => getMemberStats(entries, userId))
+    .sort((a, b) => (b.signUpRate ?? 0) - (a.signUpRate ?? 0) || (a.noShowRate ?? 0) - (b.noShowRate ?? 0) || b.longestStreak - a.longestStreak)
+  return limit ? ranked.slice(0, limit) : ranked
+}
@@ -0,0 +1,153 @@
+/**
+ * Pluggable storage for bot state
+ *
+ * Every backend exposes the same small interface so the server does not care
+ * where its data lives:
+ *   - read(collection, fallback)  -> Promise<any>
+ *   - write(collection, value)    -> Promise<void>
+ *   - close()                     -> Promise<void>
+ *
+ * Collections are plain JSON-serializable values keyed by name.
+ *
+ * Select a backend with STORAGE_DRIVER:
+ *   - file (default): one JSON document per collection in DATA_DIR (./data)
+ *   - sqlite: a single key/value table in SQLITE_PATH (needs Node 22.5+ for node:sqlite)
+ *   - memory: nothing is persisted (useful for local testing)
+ */
+
+import { promises as fs } from 'fs'
+import path from 'path'
+
+// Keep collection names safe to use as file names
+function collectionFileName(collection) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(collection)) {
+    throw new Error(`Invalid storage collection name: ${collection}`)
+  }
+  return `${collection}.json`
+}
+
+// JSON file backend - writes go to a temp file first and are renamed into place
+function createFileStorage(dataDir) {
+  // Serialize writes per collection so a slow write never overwrites a newer one
+  const pendingWrites = new Map()
+
+  return {
+    driver: 'file',
+
+    async read(collection, fallback = null) {
+      const filePath = path.join(dataDir, collectionFileName(collection))
+      try {
+        const contents = await fs.readFile(filePath, 'utf8')
+        return JSON.parse(contents)
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return fallback
+        }
+        console.error(`❌ Failed to read ${filePath}:`, error.message)
+        return fallback
+      }
+    },
+
+    write(collection, value) {
+      const filePath = path.join(dataDir, collectionFileName(collection))
+      const contents = JSON.stringify(value, null, 2)
+
+      const previous = pendingWrites.get(collection) || Promise.resolve()
+      const next = previous.then(async () => {
+        const tempPath = `${filePath}.${process.pid}.tmp`
+        await fs.mkdir(dataDir, { recursive: true })
+        await fs.writeFile(tempPath, contents, 'utf8')
+        await fs.rename(tempPath, filePath)
+      })
+
+      // Keep the chain alive even if this write fails
+      pendingWrites.set(collection, next.catch(() => {}))
+      return next
+    },
+
+    async close() {
+      await Promise.all(pendingWrites.values())
+    }
+  }
+}
+
+// SQLite backend using Node's built-in driver
+async function createSqliteStorage(dbPath) {
+  let DatabaseSync
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'))
+  } catch (error) {
+    throw new Error(`STORAGE_DRIVER=sqlite requires Node 22.5+ (node:sqlite unavailable: ${error.message})`)
+  }
+
+  await fs.mkdir(path.dirname(dbPath), { recursive: true })
+  const db = new DatabaseSync(dbPath)
+  db.exec('CREATE TABLE IF NOT EXISTS collections (name TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)')
+
+  const selectStatement = db.prepare('SELECT value FROM collections WHERE name = ?')
+  const upsertStatement = db.prepare(`
+    INSERT INTO collections (name, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `)
+
+  return {
+    driver: 'sqlite',
+
+    async read(collection, fallback = null) {
+      const row = selectStatement.get(collection)
+      if (!row) {
+        return fallback
+      }
+      try {
+        return JSON.parse(row.value)
+      } catch (error) {
+        console.error(`❌ Failed to parse stored collection ${collection}:`, error.message)
+        return fallback
+      }
+    },
+
+    async write(collection, value) {
+      upsertStatement.run(collection, JSON.stringify(value), new Date().toISOString())
+    },
+
+    async close() {
+      db.close()
+    }
+  }
+}
+
+// In-memory backend - state is lost on restart
+function createMemoryStorage() {
+  const collections = new Map()
+
+  return {
+    driver: 'memory',
+
+    async read(collection, fallback = null) {
+      return collections.has(collection) ? structuredClone(collections.get(collection)) : fallback
+    },
+
+    async write(collection, value) {
+      collections.set(collection, structuredClone(value))
+    },
+
+    async close() {}
+  }
+}
+
+// Create the storage backend selected by the environment (or explicit options)
+export async function createStorage(options = {}) {
+  const driver = (options.driver || process.env.STORAGE_DRIVER || 'file').toLowerCase()
+  const dataDir = options.dataDir || process.env.DATA_DIR || path.resolve('data')
+
+  switch (driver) {
+    case 'file':
+      return createFileStorage(dataDir)
+    case 'sqlite':
+      return createSqliteStorage(options.sqlitePath || process.env.SQLITE_PATH || path.join(dataDir, 'bot.sqlite'))
+    case 'memory':
+      return createMemoryStorage()
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected file, sqlite or memory)`)
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Boss subscriptions and alert mentions
+ *
+ * Members opt in to the bosses they care about with /subscribe. When an alert
+ * is posted, its message content mentions the subscribers (or the boss's
+ * auto-managed role) so Discord actually notifies them.
+ *
+ * Subscriptions are persisted in the "boss-subscriptions" storage collection:
+ *   { [bossKey]: { monster, users: [userId], roles: { [guildId]: roleId } } }
+ *
+ * Mention volume is set per channel with ALERT_MENTIONS, a JSON object mapping
+ * channel IDs (or "default") to a mode:
+ *   - none:        no pings
+ *   - subscribers: the boss role, or the subscribed members (default)
+ *   - here:        @here plus subscribers
+ * e.g. ALERT_MENTIONS={"default":"subscribers","123456789":"here"}
+ *
+ * When SUBSCRIPTION_ROLES=true the bot manages a mentionable role per boss
+ * (it needs Manage Roles), and alerts ping that role instead of listing
+ * members one by one. Subscribers in the guild who don't hold the role when the
+ * alert is posted (it could not be given to them, or was taken away) are still
+ * pinged by name.
+ */
+
+// Members fetched per gateway request when checking who holds a boss role
+const MEMBER_FETCH_BATCH = 100
+
+// Subscribers in a guild who don't hold roleId right now; subscribers who aren't members are left out
+async function getSubscribersWithoutRole(guild, userIds, roleId) {
+  const withoutRole = []
+  for (let start = 0; start < userIds.length; start += MEMBER_FETCH_BATCH) {
+    const members = await guild.members.fetch({ user: userIds.slice(start, start + MEMBER_FETCH_BATCH) })
+    for (const member of members.values()) {
+      if (!member.roles.cache.has(roleId)) {
+        withoutRole.push(member.id)
+      }
+    }
+  }
+  return withoutRole
+}
+
+export const MENTION_MODES = ['none', 'subscribers', 'here']
+
+// Subscription key for a boss name
+export function getSubscriptionKey(monster) {
+  return String(monster || '').trim().toLowerCase()
+}
+
+// Parse ALERT_MENTIONS into a { channelId: mode } map
+export function parseMentionModes(value) {
+  if (!value) {
+    return {}
+  }
+
+  try {
+    const modes = JSON.parse(value)
+    for (const [channelId, mode] of Object.entries(modes)) {
+      if (!MENTION_MODES.includes(mode)) {
+        console.warn(`⚠️ Ignoring ALERT_MENTIONS mode "${mode}" for ${channelId} (expected ${MENTION_MODES.join(', ')})`)
+        delete modes[channelId]
+      }
+    }
+    return modes
+  } catch (error) {
+    console.error('❌ ALERT_MENTIONS is not valid JSON, using default mentions:', error.message)
+    return {}
+  }
+}
+
+export function createSubscriptionStore({ storage, mentionModes, maxUserMentions }) {
+  const modes = mentionModes || parseMentionModes(process.env.ALERT_MENTIONS)
+  // Messages can only hold so many pings before they become spam
+  const userMentionLimit = maxUserMentions || parseInt(process.env.MAX_USER_MENTIONS, 10) || 25
+  let subscriptions = {}
+
+  async function save() {
+    try {
+      await storage.write('boss-subscriptions', subscriptions)
+    } catch (error) {
+      console.error('❌ Failed to persist boss subscriptions:', error.message)
+    }
+  }
+
+  // Subscription record for a boss, matched by monster name or boss id
+  function findRecord(boss) {
+    const keys = [boss.monster, boss.id].filter(Boolean).map(getSubscriptionKey)
+    for (const key of keys) {
+      if (subscriptions[key]) return subscriptions[key]
+    }
+    return null
+  }
+
+  return {
+    async load() {
+      subscriptions = await storage.read('boss-subscriptions', {})
+      console.log(`🔔 Restored subscriptions for ${Object.keys(subscriptions).length} bosses`)
+    },
+
+    // Resolves to { added, monster } - added is false if the member was already subscribed,
+    // monster is the boss name as first subscribed
+    async subscribe(userId, monster) {
+      const key = getSubscriptionKey(monster)
+      const record = subscriptions[key] || (subscriptions[key] = { monster: monster.trim(), users: [], roles: {} })
+      if (record.users.includes(userId)) {
+        return { added: false, monster: record.monster }
+      }
+      record.users.push(userId)
+      await save()
+      return { added: true, monster: record.monster }
+    },
+
+    // Unsubscribe from one boss, or from every boss when monster is omitted
+    // Returns the names of the bosses the member was removed from
+    async unsubscribe(userId, monster = null) {
+      const keys = monster ? [getSubscriptionKey(monster)] : Object.keys(subscriptions)
+      const removed = []
+
+      for (const key of keys) {
+        const record = subscriptions[key]
+        if (!record || !record.users.includes(userId)) continue
+        record.users = record.users.filter(id => id !== userId)
+        removed.push(record.monster)
+      }
+
+      if (removed.length > 0) {
+        await save()
+      }
+      return removed
+    },
+
+    getUserSubscriptions(userId) {
+      return Object.values(subscriptions)
+        .filter(record => record.users.includes(userId))
+        .map(record => record.monster)
+    },
+
+    getSubscribers(boss) {
+      return findRecord(boss)?.users || []
+    },
+
+    getRoleId(monster, guildId) {
+      return subscriptions[getSubscriptionKey(monster)]?.roles?.[guildId] || null
+    },
+
+    async setRoleId(monster, guildId, roleId) {
+      const key = getSubscriptionKey(monster)
+      const record = subscriptions[key] || (subscriptions[key] = { monster: monster.trim(), users: [], roles: {} })
+      record.roles = { ...record.roles, [guildId]: roleId }
+      await save()
+    },
+
+    getMentionMode(channelId) {
+      return modes[channelId] || modes.default || 'subscribers'
+    },
+
+    // Message content and allowed mentions for an alert posted in a channel
+    async buildAlertMentions(boss, channel) {
+      const mode = this.getMentionMode(channel.id)
+      if (mode === 'none') {
+        return { content: undefined, allowedMentions: { parse: [] } }
+      }
+
+      const parts = []
+      const allowedMentions = { parse: [], users: [], roles: [] }
+
+      if (mode === 'here') {
+        parts.push('@here')
+        allowedMentions.parse.push('everyone')
+      }
+
+      const record = findRecord(boss)
+      const roleId = record?.roles?.[channel.guildId]
+      let directUsers = record?.users || []
+      if (roleId) {
+        parts.push(`<@&${roleId}>`)
+        allowedMentions.roles.push(roleId)
+        // The role covers its holders - everyone else is pinged by name
+        try {
+          directUsers = await getSubscribersWithoutRole(channel.guild, directUsers, roleId)
+        } catch (error) {
+          console.error(`⚠️ Could not check who holds the ${record.monster} role, pinging every subscriber:`, error.message)
+        }
+      }
+      if (directUsers.length > 0) {
+        const mentioned = directUsers.slice(0, userMentionLimit)
+        parts.push(mentioned.map(userId => `<@${userId}>`).join(' '))
+        allowedMentions.users.push(...mentioned)
+        if (directUsers.length > mentioned.length) {
+          parts.push(`(+${directUsers.length - mentioned.length} more subscribers)`)
+        }
+      }
+
+      if (parts.length === 0) {
+        return { content: undefined, allowedMentions: { parse: [] } }
+      }
+
+      return {
+        content: `🔔 ${parts.join(' ')} — **${boss.monster}** alert!`,
+        allowedMentions
+      }
+    }
+  }
+}
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing API authentication...')
+
+import crypto from 'crypto'
+import { createAuth, parseApiKeys, verifyJwt } from './auth.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+// Just enough of an Express request for authenticate()
+function request(headers = {}, rawBody = '', { method = 'POST', originalUrl = '/api/send-boss' } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  return {
+    method,
+    originalUrl,
+    ip: '127.0.0.1',
+    rawBody: Buffer.from(rawBody),
+    get: name => lowered[name.toLowerCase()]
+  }
+}
+
+function sign(secret, timestamp, rawBody, route = 'POST./api/send-boss') {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${route}.${rawBody}`).digest('hex')
+}
+
+function jwt(claims, secret) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url')
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url')
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url')
+  return `${header}.${payload}.${signature}`
+}
+
+console.log('\n🔑 API keys:')
+
+const keys = await quietly(() => parseApiKeys('website:abc123:send|edit|read, dashboard:def456, broken'))
+check('Keys are parsed with their scopes', keys[0]?.name === 'website' && JSON.stringify(keys[0].scopes) === '["send","edit","read"]', keys)
+check('Keys without scopes get read only', JSON.stringify(keys[1]?.scopes) === '["read"]', keys[1])
+check('Malformed entries are skipped', keys.length === 2, keys.length)
+
+const hmacSecret = 'hmac-test-secret'
+const jwtSecret = 'jwt-test-secret'
+const auth = createAuth({ apiKeys: keys, hmacSecret, jwtSecret, hmacScopes: ['send'] })
+
+const website = auth.authenticate(request({ Authorization: 'Bearer abc123' }))
+check('A bearer API key authenticates as its name', website.principal === 'website' && website.method === 'api-key', website)
+check('An unknown key is rejected', Boolean(auth.authenticate(request({ Authorization: 'Bearer nope' })).error))
+check('A request without credentials is rejected', Boolean(auth.authenticate(request()).error))
+
+console.log('\n✍️ HMAC signatures:')
+
+const body = '{"monster":"Venatus"}'
+const now = Math.floor(Date.now() / 1000)
+const signed = auth.authenticate(request({ 'X-Timestamp': now, 'X-Signature': sign(hmacSecret, now, body) }, body))
+check('A correct signature authenticates with API_HMAC_SCOPES', signed.method === 'hmac' && JSON.stringify(signed.scopes) === '["send"]', signed)
+const mismatch = auth.authenticate(request({ 'X-Timestamp': now, 'X-Signature': sign(hmacSecret, now, body) }, '{"monster":"Clemantis"}'))
+check('A signature over a different body is rejected', mismatch.error === 'Invalid request signature', mismatch)
+const wrongSecret = auth.authenticate(request({ 'X-Timestamp': now, 'X-Signature': sign('another-secret', now, body) }, body))
+check('A signature made with another secret is rejected', wrongSecret.error === 'Invalid request signature', wrongSecret)
+const stale = now - 6 * 60
+const expired = auth.authenticate(request({ 'X-Timestamp': stale, 'X-Signature': sign(hmacSecret, stale, body) }, body))
+check('A signature older than five minutes is rejected', expired.error === 'Missing or stale X-Timestamp', expired)
+const future = now + 6 * 60
+check('A timestamp far in the future is rejected', Boolean(auth.authenticate(request({ 'X-Timestamp': future, 'X-Signature': sign(hmacSecret, future, body) }, body)).error))
+const captured = { 'X-Timestamp': now, 'X-Signature': sign(hmacSecret, now, body) }
+const otherRoute = auth.authenticate(request(captured, body, { originalUrl: '/api/bosses' }))
+check('A signature cannot be replayed against another route', otherRoute.error === 'Invalid request signature', otherRoute)
+const otherMethod = auth.authenticate(request(captured, body, { method: 'PATCH' }))
+check('A signature cannot be replayed with another method', otherMethod.error === 'Invalid request signature', otherMethod)
+const query = '/api/alerts?monster=Venatus'
+check('The query string is part of the signed path', !auth.authenticate(request({ 'X-Timestamp': now, 'X-Signature': sign(hmacSecret, now, '', `GET.${query}`) }, '', { method: 'GET', originalUrl: query })).error &&
+  Boolean(auth.authenticate(request({ 'X-Timestamp': now, 'X-Signature': sign(hmacSecret, now, '', 'GET./api/alerts') }, '', { method: 'GET', originalUrl: query })).error))
+const unsigned = await quietly(() => createAuth({ apiKeys: [] }))
+check('Signatures are refused when API_HMAC_SECRET is unset', Boolean(unsigned.authenticate(request({ 'X-Timestamp': now, 'X-Signature': sign(hmacSecret, now, body) }, body)).error))
+
+console.log('\n🪪 Supabase JWTs:')
+
+const admin = auth.authenticate(request({ Authorization: `Bearer ${jwt({ sub: 'u1', email: 'officer@example.com', app_metadata: { role: 'admin' } }, jwtSecret)}` }))
+check('Admins get every scope', admin.principal === 'officer@example.com' && admin.scopes.length === 3, admin)
+const member = auth.authenticate(request({ Authorization: `Bearer ${jwt({ sub: 'u2', role: 'authenticated' }, jwtSecret)}` }))
+check('Other signed-in users get read only', JSON.stringify(member.scopes) === '["read"]', member)
+check('Expired tokens are rejected', verifyJwt(jwt({ sub: 'u1', exp: now - 60 }, jwtSecret), jwtSecret) === null)
+check('Tokens signed with another secret are rejected', verifyJwt(jwt({ sub: 'u1' }, 'another-secret'), jwtSecret) === null)
+
+console.log('\n🚧 requireScope:')
+
+async function respond(scope, req) {
+  const res = { statusCode: 200, status(code) { this.statusCode = code; return this }, json() { return this } }
+  let passed = false
+  await quietly(() => auth.requireScope(scope)(req, res, () => { passed = true }))
+  return { status: res.statusCode, passed }
+}
+
+check('Callers holding the scope pass', (await respond('read', request({ Authorization: 'Bearer def456' }))).passed)
+check('Callers without the scope get 403', (await respond('send', request({ Authorization: 'Bearer def456' }))).status === 403)
+check('Anonymous callers get 401', (await respond('read', request())).status === 401)
+
+finish('auth')
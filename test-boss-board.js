@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing boss board rendering...')
+
+import { renderBossBoard } from './board.js'
+import { check, finish } from './test-helpers.js'
+
+const now = new Date('2025-07-31T12:00:00Z')
+
+// A realistic row: long names, location, points, sign-ups and a full jump URL
+function longRow(index) {
+  return {
+    monster: `Ancient Timitris the Everlasting ${index}`,
+    location: `Forgotten Catacombs of the Eastern Wastes, Floor ${index}`,
+    points: 150,
+    respawnAt: new Date(now.getTime() + (index + 1) * 20 * 60 * 1000),
+    countdown: `<t:${Math.floor(now.getTime() / 1000) + (index + 1) * 1200}:R>`,
+    signUps: 42,
+    url: `https://discord.com/channels/123456789012345678/234567890123456789/3456789012345678${String(index).padStart(2, '0')}`
+  }
+}
+
+console.log('\n📋 Description limit:')
+
+const rows = Array.from({ length: 25 }, (_, index) => longRow(index))
+let embed = null
+try {
+  embed = renderBossBoard(rows, now)
+} catch (error) {
+  check('25 long rows render without throwing', false, error.message)
+}
+
+if (embed) {
+  const description = embed.toJSON().description
+  check('25 long rows render without throwing', true)
+  check('The description stays within 4096 characters', description.length <= 4096, description.length)
+
+  const shown = (description.match(/Ancient Timitris/g) || []).length
+  check('Rows that do not fit are left out', shown > 0 && shown < rows.length, shown)
+  check('The board says how many were left out', description.endsWith(`*...and ${rows.length - shown} more*`), description.slice(-40))
+  check('The soonest spawns are kept', description.includes('Everlasting 0**') && !description.includes(`Everlasting ${rows.length - 1}**`))
+}
+
+const few = renderBossBoard(rows.slice(0, 3), now).toJSON().description
+check('Short boards list every row without a "more" line', (few.match(/Ancient Timitris/g) || []).length === 3 && !few.includes('more*'))
+
+console.log('\n🔴 Overdue flag:')
+
+const overdue = { ...longRow(0), respawnAt: new Date(now.getTime() - 45 * 60 * 1000) }
+check('Bosses up past the default 30 minutes are overdue', renderBossBoard([overdue], now).toJSON().description.includes('**Overdue**'))
+check('overdueMinutes moves the threshold', !renderBossBoard([overdue], now, { overdueMinutes: 60 }).toJSON().description.includes('**Overdue**'))
+
+finish('boss board')
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing the boss catalog...')
+
+import { buildCatalogEntry, createBossCatalog, getRespawnWindow, hasRespawnTimer } from './catalog.js'
+import { createStorage } from './storage.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+console.log('\n📝 Validation:')
+
+const { entry: venatus } = buildCatalogEntry({ monster: ' Venatus ', aliases: 'ven, Venny, ven', points: '5', respawn_hours: 10 })
+check('Fields are trimmed and numbers parsed', venatus?.monster === 'Venatus' && venatus.points === 5 && venatus.respawn_hours === 10, venatus)
+check('Aliases are split and de-duplicated', JSON.stringify(venatus?.aliases) === '["ven","Venny"]', venatus?.aliases)
+check('The boss name is not kept as its own alias', JSON.stringify(buildCatalogEntry({ monster: 'Venatus', aliases: ['venatus', 'ven'] }).entry?.aliases) === '["ven"]')
+check('monster is required', Boolean(buildCatalogEntry({ points: 5 }).error))
+check('Negative numbers are rejected', Boolean(buildCatalogEntry({ monster: 'Venatus', respawn_hours: -1 }).error))
+check('A window needs respawn_max_hours', Boolean(buildCatalogEntry({ monster: 'Venatus', respawn_min_hours: 2 }).error))
+check('A window cannot open after it closes', Boolean(buildCatalogEntry({ monster: 'Venatus', respawn_min_hours: 6, respawn_max_hours: 4 }).error))
+check('Bad schedules are rejected', Boolean(buildCatalogEntry({ monster: 'Venatus', respawn_schedule: 'Funday 20:00' }).error))
+check('Non-object bodies are rejected', Boolean(buildCatalogEntry(['Venatus']).error))
+
+console.log('\n🔁 Respawn rules:')
+
+const windowed = buildCatalogEntry({ respawn_min_hours: 2, respawn_max_hours: 4 }, venatus).entry
+check('A window replaces a fixed respawn_hours', windowed?.respawn_hours === undefined && windowed.respawn_max_hours === 4, windowed)
+const scheduled = buildCatalogEntry({ respawn_schedule: 'Tue/Thu 20:00' }, windowed).entry
+check('A schedule replaces a window', scheduled?.respawn_min_hours === undefined && scheduled.respawn_max_hours === undefined && scheduled.respawn_schedule === 'Tue/Thu 20:00', scheduled)
+const fixed = buildCatalogEntry({ respawn_hours: 12 }, scheduled).entry
+check('respawn_hours replaces a schedule', fixed?.respawn_schedule === undefined && fixed.respawn_hours === 12, fixed)
+const untouched = buildCatalogEntry({ points: 8 }, windowed).entry
+check('Changing other fields keeps the rule', untouched?.respawn_min_hours === 2 && untouched.respawn_max_hours === 4, untouched)
+check('null clears a field', buildCatalogEntry({ location: null }, { ...venatus, location: 'Ruins' }).entry?.location === undefined)
+
+const window = getRespawnWindow({ time_of_death: '2025-07-31T10:00:00Z', respawn_min_hours: 2, respawn_max_hours: 4 })
+check('The window runs from min to max hours after death', window?.start.toISOString() === '2025-07-31T12:00:00.000Z' && window.end.toISOString() === '2025-07-31T14:00:00.000Z', window)
+const websiteWindow = getRespawnWindow({ time_of_death: '2025-07-31T01:10:00', respawn_min_hours: 2, respawn_max_hours: 4 }, 'Asia/Manila')
+check('An offset-less time_of_death is read in the given timezone', websiteWindow?.start.toISOString() === '2025-07-30T19:10:00.000Z', websiteWindow)
+check('Bosses without a window have none', getRespawnWindow({ time_of_death: '2025-07-31T10:00:00Z', respawn_hours: 4 }) === null)
+check('Every kind of rule counts as a respawn timer', hasRespawnTimer({ respawn_hours: 4 }) && hasRespawnTimer({ respawn_max_hours: 4 }) && hasRespawnTimer({ respawn_schedule: '20:00' }) && !hasRespawnTimer({}))
+
+console.log('\n📖 Catalog:')
+
+const storage = await createStorage({ driver: 'memory' })
+const catalog = createBossCatalog({ storage })
+await quietly(() => catalog.load())
+
+const created = await catalog.upsert('Venatus', { aliases: 'ven', location: 'Ruins', points: 5, respawn_min_hours: 2, respawn_max_hours: 4 })
+check('New bosses are created', created.created === true && (await storage.read('boss-catalog', {})).venatus?.monster === 'Venatus', created)
+check('Bosses are found by alias, case-insensitively', catalog.find('VEN')?.monster === 'Venatus')
+check('Aliases resolve to the canonical name', catalog.resolveName('ven') === 'Venatus' && catalog.resolveName('Unknown') === 'Unknown')
+
+const updated = await catalog.upsert('ven', { points: 8 })
+check('Updating through an alias keeps the canonical name', updated.created === false && updated.entry?.monster === 'Venatus' && updated.entry.points === 8, updated)
+
+await catalog.upsert('Clemantis', {})
+const clash = await catalog.upsert('Clemantis', { aliases: 'ven' })
+check('An alias cannot belong to two bosses', Boolean(clash.error), clash)
+const renameClash = await catalog.upsert('Clemantis', { monster: 'Ven' })
+check('A boss cannot be renamed to another boss\'s alias', Boolean(renameClash.error), renameClash)
+
+const filled = catalog.fill({ monster: 'ven', time_of_death: '2025-07-31T10:00:00Z' })
+check('fill takes the canonical name and missing fields', filled.monster === 'Venatus' && filled.location === 'Ruins' && filled.points === 8, filled)
+check('fill takes the catalog window', filled.respawn_min_hours === 2 && filled.respawn_max_hours === 4, filled)
+
+const sentHours = catalog.fill({ monster: 'Venatus', respawn_hours: 3 })
+check('A sent respawn_hours is never mixed with the catalog window', sentHours.respawn_hours === 3 && sentHours.respawn_min_hours === undefined && sentHours.respawn_max_hours === undefined, sentHours)
+check('Sent values win over the catalog', catalog.fill({ monster: 'Venatus', points: 1, location: 'Cave' }).points === 1)
+await catalog.upsert('Venatus', { image_url: 'venatus.png' })
+check('The catalog image fills alerts without one', catalog.fill({ monster: 'Venatus' }).image_url === 'venatus.png')
+check('A sent display_image counts as the image', catalog.fill({ monster: 'Venatus', display_image: 'site.png' }).image_url === undefined)
+check('Bosses not in the catalog are left alone', JSON.stringify(catalog.fill({ monster: 'Thymele', points: 2 })) === '{"monster":"Thymele","points":2}')
+
+const removed = await catalog.remove('ven')
+check('Bosses can be removed by alias', removed?.monster === 'Venatus' && catalog.find('Venatus') === null && !(await storage.read('boss-catalog', {})).venatus)
+
+finish('boss catalog')
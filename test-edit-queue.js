@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing the edit queue...')
+
+import { createEditQueue, createNameCache, getRetryAfterMs, isMessageEditRateLimit, isRateLimitError } from './edit-queue.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// An error shaped like discord.js's 429
+function rateLimited(retryAfter) {
+  return Object.assign(new Error('You are being rate limited'), { status: 429, retryAfter })
+}
+
+console.log('\n⏳ Rate limits:')
+
+check('429s are recognised', isRateLimitError(rateLimited(100)) && isRateLimitError({ name: 'RateLimitError' }) && !isRateLimitError(new Error('Missing Access')))
+check('retry-after is honoured', getRetryAfterMs(rateLimited(250)) === 250)
+check('Without retry-after the wait backs off', getRetryAfterMs({}, 0) === 1000 && getRetryAfterMs({}, 2) === 4000 && getRetryAfterMs({}, 10) === 30 * 1000)
+check('Rate limits on message edits pause the queue', isMessageEditRateLimit({ method: 'PATCH', route: '/channels/:id/messages/:id' }))
+check('Rate limits on other routes do not', !isMessageEditRateLimit({ method: 'PUT', route: '/channels/:id/messages/:id/reactions/:reaction/@me' }) &&
+  !isMessageEditRateLimit({ method: 'POST', route: '/channels/:id/messages' }) && !isMessageEditRateLimit({ method: 'DELETE', route: '/channels/:id/messages/:id' }))
+
+console.log('\n🧮 Coalescing:')
+
+const queue = createEditQueue({ debounceMs: 20 })
+const runs = []
+const results = await Promise.all([1, 2, 3].map(version => queue.schedule('alert-1', async () => {
+  runs.push(version)
+  return version
+})))
+check('Edits for the same message collapse into the latest', JSON.stringify(runs) === '[3]', runs)
+check('Every caller gets the result of the edit that covered it', JSON.stringify(results) === '[3,3,3]', results)
+
+runs.length = 0
+await Promise.all([queue.schedule('alert-1', async () => runs.push('a')), queue.schedule('alert-2', async () => runs.push('b'))])
+check('Different messages are edited separately', runs.length === 2, runs)
+
+// A second edit scheduled while the first is running waits for it
+let concurrent = 0
+let maxConcurrent = 0
+const slowEdit = async () => {
+  concurrent++
+  maxConcurrent = Math.max(maxConcurrent, concurrent)
+  await sleep(40)
+  concurrent--
+}
+const firstEdit = queue.schedule('alert-3', slowEdit, { delay: 0 })
+await sleep(10)
+await Promise.all([firstEdit, queue.schedule('alert-3', slowEdit, { delay: 0 })])
+check('A message is never edited twice at once', maxConcurrent === 1, maxConcurrent)
+
+let cancelledRan = false
+const cancelled = queue.schedule('alert-4', async () => { cancelledRan = true })
+queue.cancel('alert-4')
+check('Cancelled edits resolve with null and never run', (await cancelled) === null && !cancelledRan)
+
+console.log('\n🔁 Retries:')
+
+let attempts = 0
+const retried = await quietly(() => queue.schedule('alert-5', async () => {
+  attempts++
+  if (attempts < 3) throw rateLimited(10)
+  return 'edited'
+}, { delay: 0 }))
+check('Rate-limited edits are retried', retried === 'edited' && attempts === 3, { retried, attempts })
+
+const failed = await quietly(() => queue.schedule('alert-6', async () => { throw new Error('Unknown Message') }, { delay: 0 }))
+check('Other failures resolve with null', failed === null)
+
+const pausedAt = Date.now()
+queue.pause(50)
+await queue.schedule('alert-7', async () => {}, { delay: 0 })
+check('pause() holds edits back', Date.now() - pausedAt >= 45, Date.now() - pausedAt)
+
+console.log('\n🏷️ Name cache:')
+
+let lookups = 0
+const names = createNameCache({ ttlMs: 1000, fetchName: async userId => { lookups++; return `name-${userId}` } })
+await Promise.all([names.get('1'), names.get('1')])
+await names.get('1')
+check('Names are looked up once and cached', lookups === 1, lookups)
+names.invalidate('1')
+await names.get('1')
+check('invalidate() forces a new lookup', lookups === 2, lookups)
+
+let flaky = true
+const retrying = createNameCache({ ttlMs: 1000, fetchName: async () => { if (flaky) throw new Error('Unknown Member'); return 'Alice' } })
+await retrying.get('2').catch(() => {})
+flaky = false
+check('Failed lookups are not cached', (await retrying.get('2')) === 'Alice')
+
+finish('edit queue')
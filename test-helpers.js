@@ -0,0 +1,43 @@
+/**
+ * Shared helpers for the check scripts (node test-*.js)
+ *
+ * Each script prints one line per check and exits with status 1 if any failed:
+ *
+ *   check('Keys are trimmed', parsed.key === 'abc', parsed)
+ *   finish('auth')
+ */
+
+let failures = 0
+
+// Print ✅ or ❌ for one expectation, with what was got when it fails
+export function check(description, condition, details) {
+  if (condition) {
+    console.log(`✅ ${description}`)
+  } else {
+    failures++
+    console.log(`❌ ${description}`)
+    if (details !== undefined) {
+      console.log('   Got:', JSON.stringify(details))
+    }
+  }
+}
+
+// Print the summary and exit non-zero if any check failed
+export function finish(subject) {
+  if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`)
+    process.exit(1)
+  }
+  console.log(`\n✨ All ${subject} checks passed`)
+}
+
+// Run fn with console.log/warn/error silenced so module logging doesn't bury the results
+export async function quietly(fn) {
+  const { log, warn, error } = console
+  console.log = console.warn = console.error = () => {}
+  try {
+    return await fn()
+  } finally {
+    Object.assign(console, { log, warn, error })
+  }
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing the points ledger...')
+
+import { createPointsLedger, getPeriodStart } from './ledger.js'
+import { createStorage } from './storage.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+const now = new Date('2025-07-31T12:00:00Z')
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000)
+
+console.log('\n📆 Periods:')
+
+check('A week starts seven days back', getPeriodStart('week', now)?.toISOString() === daysAgo(7).toISOString())
+check('All time has no start', getPeriodStart('all', now) === null)
+let unknownError = null
+try {
+  getPeriodStart('year', now)
+} catch (error) {
+  unknownError = error
+}
+check('Unknown periods are rejected', unknownError?.message.includes('Unknown period'), unknownError?.message)
+let inheritedError = null
+try {
+  getPeriodStart('constructor', now)
+} catch (error) {
+  inheritedError = error
+}
+check('Inherited object keys are not periods', inheritedError?.message.includes('Unknown period'), inheritedError?.message)
+
+console.log('\n💰 Kills:')
+
+const storage = await createStorage({ driver: 'memory' })
+const ledger = createPointsLedger({ storage })
+await quietly(() => ledger.load())
+
+const participation = (participating, notParticipating = []) => ({ participating: new Set(participating), notParticipating: new Set(notParticipating) })
+
+const first = await quietly(() => ledger.recordKill({ messageId: 'm1', boss: { monster: 'Venatus', points: 5 }, killedAt: daysAgo(10), killedBy: 'Officer Ann', participation: participation(['alice', 'bob'], ['carol']) }))
+check('A kill snapshots who signed up', JSON.stringify(first?.participating) === '["alice","bob"]' && JSON.stringify(first.notParticipating) === '["carol"]', first)
+check('A kill keeps when it happened and who recorded it', first?.killedAt === daysAgo(10).toISOString() && first.killedBy === 'Officer Ann', first)
+const twice = await quietly(() => ledger.recordKill({ messageId: 'm1', boss: { monster: 'Venatus', points: 5 }, killedAt: daysAgo(10), participation: participation(['alice', 'bob']) }))
+check('Closing the same alert twice pays out once', twice === null && ledger.getEntries().length === 1)
+await quietly(() => ledger.recordKill({ messageId: 'm2', boss: { monster: 'Clemantis', points: '3' }, killedAt: daysAgo(2), participation: participation(['bob']) }))
+const copy = await quietly(() => ledger.recordKill({ messageId: 'm1-copy', killId: 'm1', boss: { monster: 'Venatus', points: 5 }, killedAt: daysAgo(10), participation: participation(['bob', 'dave'], ['alice']) }))
+check('A routed copy of a recorded kill adds no second entry', copy?.id === first.id && ledger.getEntries().filter(entry => entry.monster === 'Venatus').length === 1, ledger.getEntries())
+check('Members who joined on either copy are credited once', JSON.stringify(copy?.participating) === '["alice","bob","dave"]' && copy.notParticipating.every(userId => !copy.participating.includes(userId)), copy)
+check('Closing a copy twice changes nothing', (await quietly(() => ledger.recordKill({ messageId: 'm1-copy', killId: 'm1', boss: { monster: 'Venatus', points: 5 }, killedAt: daysAgo(10), participation: participation(['erin']) }))) === null)
+check('Attendance can be confirmed from any copy', (await quietly(() => ledger.confirmAttendance('m1-copy', ['dave'])))?.id === first.id)
+check('Kills are persisted', (await storage.read('points-ledger', [])).length === 2)
+
+console.log('\n🏆 Totals:')
+
+check('Points add up across kills', ledger.getUserTotals('bob').points === 8 && ledger.getUserTotals('bob').kills === 2, ledger.getUserTotals('bob'))
+check('A kill posted to several channels pays out once', ledger.getUserTotals('dave').points === 5, ledger.getUserTotals('dave'))
+check('Members who skipped earn nothing', ledger.getUserTotals('carol').points === 0)
+check('Totals honour the period', ledger.getUserTotals('alice', { since: getPeriodStart('week', now) }).points === 0)
+const leaderboard = ledger.getLeaderboard()
+check('The leaderboard ranks by points', leaderboard[0]?.userId === 'bob' && leaderboard[1]?.userId === 'alice', leaderboard)
+check('The leaderboard honours its limit', ledger.getLeaderboard({ limit: 1 }).length === 1)
+check('Entries are listed newest first', ledger.getEntries()[0]?.monster === 'Clemantis')
+
+const restored = createPointsLedger({ storage })
+await quietly(() => restored.load())
+check('Entries survive a restart', restored.getUserTotals('bob').points === 8)
+
+finish('points ledger')
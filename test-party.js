@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing party composition...')
+
+import { buildCompositionField, getCompositionShortfall, groupByPartyRole, parseComposition, parsePartyRoles, resolvePartyRole } from './party.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+console.log('\n🛡️ Party roles:')
+
+const partyRoles = parsePartyRoles('{"Tank":"111","Healer":"222","DPS":null}')
+check('PARTY_ROLES maps roles to Discord role IDs in order', JSON.stringify(partyRoles) === '[{"name":"Tank","roleId":"111"},{"name":"Healer","roleId":"222"},{"name":"DPS","roleId":null}]', partyRoles)
+check('A JSON array lists /profile-only roles', JSON.stringify(parsePartyRoles('["Tank","Support"]').map(role => role.name)) === '["Tank","Support"]')
+check('Bad PARTY_ROLES falls back to Tank/Healer/DPS', (await quietly(() => parsePartyRoles('{nope'))).map(role => role.name).join('/') === 'Tank/Healer/DPS')
+check('An empty PARTY_ROLES falls back too', (await quietly(() => parsePartyRoles('[]'))).length === 3)
+
+check('A /profile class wins over Discord roles', resolvePartyRole(partyRoles, { profileClass: 'healer', roleIds: ['111'] }) === 'Healer')
+check('Otherwise the first mapped Discord role counts', resolvePartyRole(partyRoles, { roleIds: ['999', '111'] }) === 'Tank')
+check('Members with neither have no role', resolvePartyRole(partyRoles, { profileClass: 'Bard', roleIds: ['999'] }) === null)
+
+console.log('\n📐 Required compositions:')
+
+check('Text compositions are read case-insensitively', JSON.stringify(parseComposition('healer:2, TANK x1', partyRoles).composition) === '{"Healer":2,"Tank":1}')
+check('Object compositions are read', JSON.stringify(parseComposition({ dps: 3 }, partyRoles).composition) === '{"DPS":3}')
+check('Zero minimums are dropped', parseComposition('healer:0', partyRoles).composition === null)
+check('Unknown roles are rejected', parseComposition('bard:1', partyRoles).error?.includes('Unknown party role'))
+check('Fractional and negative minimums are rejected', Boolean(parseComposition({ Healer: 1.5 }, partyRoles).error) && Boolean(parseComposition({ Healer: -1 }, partyRoles).error))
+check('Arrays are rejected', Boolean(parseComposition(['Healer'], partyRoles).error))
+
+const shortfall = getCompositionShortfall({ Healer: 1, Tank: 1 }, { Healer: 2, Tank: 1 })
+check('The shortfall lists roles below their minimum', JSON.stringify(shortfall) === '[{"role":"Healer","have":1,"need":2}]', shortfall)
+
+console.log('\n👥 Sign-up groups:')
+
+const groups = groupByPartyRole([{ name: 'Cid', role: 'DPS' }, { name: 'Ann', role: 'Tank' }, { name: 'Bo', role: null }, { name: 'Dee', role: 'Bard' }], partyRoles)
+check('Sign-ups are grouped in role order with unassigned last', JSON.stringify(groups) === '[{"role":"Tank","names":["Ann"]},{"role":"DPS","names":["Cid"]},{"role":"Unassigned","names":["Bo","Dee"]}]', groups)
+
+const short = buildCompositionField({ Healer: 1, Tank: 1 }, { Healer: 2, Tank: 1 }, partyRoles).value
+check('The embed flags what the party is short of', short.startsWith('⚠️ **Short:** 1 Healer') && short.includes('**Healer:** 1/2 ⚠️') && short.includes('**Tank:** 1/1 ✅'), short)
+check('A met composition says so', buildCompositionField({ Healer: 2 }, { Healer: 2 }, partyRoles).value.startsWith('✅ **Composition met**'))
+check('Without a composition only the counts show', buildCompositionField({ DPS: 4 }, null, partyRoles).value === '**DPS:** 4')
+
+finish('party composition')
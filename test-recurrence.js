@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing fixed-schedule bosses...')
+
+import { parseRespawnSchedule, getNextOccurrence, getScheduledRespawnTime, describeRespawnSchedule } from './recurrence.js'
+import { createBossScheduler } from './scheduler.js'
+import { createStorage } from './storage.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+console.log('\n📅 Parsing:')
+
+const tueThuSat = parseRespawnSchedule('Tue/Thu/Sat 20:00 GMT+8')
+check('Days, time and timezone are read', JSON.stringify(tueThuSat.schedule) === '{"days":[2,4,6],"times":[1200],"timeZone":"Etc/GMT-8"}', tueThuSat)
+check('"daily" with several times', JSON.stringify(parseRespawnSchedule('daily 12:00,20:00').schedule?.times) === '[720,1200]')
+check('Day ranges', JSON.stringify(parseRespawnSchedule('Mon-Fri 19:30').schedule?.days) === '[1,2,3,4,5]')
+check('Ranges wrap around the week', JSON.stringify(parseRespawnSchedule('Sat-Mon 19:30').schedule?.days) === '[0,1,6]')
+check('A bare time runs daily without a timezone', parseRespawnSchedule('20:00').schedule?.days.length === 7 && parseRespawnSchedule('20:00').schedule?.timeZone === null)
+check('Unknown days are rejected', Boolean(parseRespawnSchedule('Funday 20:00').error))
+check('Bad times are rejected', Boolean(parseRespawnSchedule('Tue 25:00').error))
+check('Unknown timezones are rejected', Boolean(parseRespawnSchedule('Tue 20:00 Mars/Olympus').error))
+check('Schedules are described for embeds', describeRespawnSchedule('Tue/Thu/Sat 20:00 GMT+8', 'Asia/Manila') === 'Tue, Thu, Sat at 20:00 (GMT+8)', describeRespawnSchedule('Tue/Thu/Sat 20:00 GMT+8', 'Asia/Manila'))
+
+console.log('\n⏭️ Next occurrence:')
+
+// Tuesday 2025-07-29 12:00 UTC is 20:00 in GMT+8
+const tuesdaySpawn = new Date('2025-07-29T12:00:00Z')
+const thursdaySpawn = new Date('2025-07-31T12:00:00Z')
+check('The next occurrence is found', getNextOccurrence(tueThuSat.schedule, new Date('2025-07-29T03:00:00Z'), 'UTC')?.toISOString() === tuesdaySpawn.toISOString())
+check('An occurrence at the instant itself is skipped', getNextOccurrence(tueThuSat.schedule, tuesdaySpawn, 'UTC')?.toISOString() === thursdaySpawn.toISOString())
+check('Schedules without a timezone use the default', getNextOccurrence(parseRespawnSchedule('20:00').schedule, new Date('2025-07-29T03:00:00Z'), 'Asia/Manila')?.toISOString() === tuesdaySpawn.toISOString())
+
+console.log('\n📌 Pinned alerts:')
+
+const boss = { monster: 'Clemantis', respawn_schedule: 'Tue/Thu/Sat 20:00 GMT+8' }
+const afterTuesday = new Date('2025-07-29T13:00:00Z')
+const tuesdayAlert = { ...boss, respawn_time: tuesdaySpawn.toISOString() }
+check('A passed occurrence stays final, so the alert shows the boss as up', getScheduledRespawnTime(tuesdayAlert, afterTuesday, 'UTC')?.toISOString() === tuesdaySpawn.toISOString())
+check('An offset-less respawn_time is read in the default timezone', getScheduledRespawnTime({ ...boss, respawn_time: '2025-07-29T20:00:00' }, afterTuesday, 'Asia/Manila')?.toISOString() === tuesdaySpawn.toISOString())
+check('A boss without an occurrence is due at the next one', getScheduledRespawnTime(boss, afterTuesday, 'UTC')?.toISOString() === thursdaySpawn.toISOString())
+check('Bosses without a schedule are left alone', getScheduledRespawnTime({ monster: 'Venatus', respawn_hours: 10 }, afterTuesday, 'UTC') === null)
+
+console.log('\n🔁 Scheduler rollover:')
+
+let now = new Date('2025-07-29T11:30:00Z')
+const alerts = []
+const scheduler = createBossScheduler({
+  storage: await createStorage({ driver: 'memory' }),
+  calculateRespawnTime: bossData => getScheduledRespawnTime(bossData, now, 'UTC'),
+  onAlertDue: async (entry, lead) => {
+    alerts.push({ respawnAt: entry.respawnAt, lead })
+    return `alert-${alerts.length}`
+  },
+  leadMinutes: [15],
+  timeZone: 'UTC'
+})
+
+const rolledOver = await quietly(async () => {
+  await scheduler.track(tuesdayAlert)
+  await scheduler.check(new Date('2025-07-29T11:50:00Z'))
+  now = afterTuesday
+  await scheduler.check(now)
+  return scheduler.find('Clemantis')
+})
+now = new Date('2025-07-31T11:50:00Z')
+await quietly(() => scheduler.check(now))
+
+check('The lead-time alert fires for Tuesday', alerts[0]?.respawnAt === tuesdaySpawn.toISOString(), alerts)
+check('Once Tuesday is up the boss rolls over to Thursday', rolledOver?.respawnAt === thursdaySpawn.toISOString(), rolledOver?.respawnAt)
+check('The new cycle re-arms its lead times', alerts[1]?.respawnAt === thursdaySpawn.toISOString(), alerts)
+check("Tuesday's alert is not mistaken for Thursday's", getScheduledRespawnTime(tuesdayAlert, now, 'UTC')?.toISOString() !== rolledOver?.respawnAt)
+
+finish('fixed-schedule')
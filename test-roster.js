@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing roster limits...')
+
+import { buildRosterCsv, buildRosterFields, formatMemberName, parseRoleTags } from './roster.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+// 32-character names, so a long list needs several fields
+const names = count => Array.from({ length: count }, (_, index) => `Guildmember With A Long Nick ${String(index).padStart(3, '0')}`)
+
+console.log('\n🏷️ Names:')
+
+const member = { displayName: 'Alice', roles: { cache: new Set(['111', '333']) } }
+check('Configured role tags follow the nickname', formatMemberName(member, { 111: 'Tank', 222: 'Healer', 333: 'Caller' }) === 'Alice [Tank/Caller]')
+check('Members without tagged roles show the nickname alone', formatMemberName(member, { 222: 'Healer' }) === 'Alice')
+check('Bad ROSTER_ROLE_TAGS falls back to no tags', JSON.stringify(await quietly(() => parseRoleTags('{nope'))) === '{}')
+
+console.log('\n📏 Field limits:')
+
+const empty = buildRosterFields({})
+check('Every section gets a field even when empty', empty.length === 3 && empty.every(field => field.value === '*No one yet*'), empty)
+
+const busy = buildRosterFields({ participating: names(100), maybe: names(5), notParticipating: names(3) })
+check('No field value exceeds 1024 characters', busy.every(field => field.value.length <= 1024), busy.map(field => field.value.length))
+check('Long lists continue in extra fields', busy.filter(field => field.name.startsWith('✅')).length > 1, busy.map(field => field.name))
+check('Headers count the whole list', busy[0].name === '✅ Participating (100)', busy[0].name)
+const listed = busy.filter(field => field.name.startsWith('✅')).reduce((sum, field) => sum + field.value.split(', ').length, 0)
+check('Every participant is listed when there is room', listed === 100 && !busy.some(field => field.name === '📋 More sign-ups'), listed)
+
+const full = buildRosterFields({ participating: names(400), maybe: names(5) })
+const totalChars = full.reduce((sum, field) => sum + field.name.length + field.value.length, 0)
+check('The fields stay within the embed budget', full.length <= 15 && totalChars <= 4000, { fields: full.length, totalChars })
+const more = full.find(field => field.name === '📋 More sign-ups')
+check('A full embed points to Export roster', more?.value.includes('Export roster'), more)
+const shown = full.filter(field => field.name.startsWith('✅')).reduce((sum, field) => sum + field.value.split(', ').length, 0)
+check('The overflow note counts the names left out', more?.value.includes(`${400 - shown} more participating`), { shown, more: more?.value })
+check('Later sections keep their first field', full.some(field => field.name === '⏰ Maybe / Late (5)'))
+
+console.log('\n📋 CSV export:')
+
+const csv = buildRosterCsv({ participating: [{ userId: '1', name: 'Alice, "the Tank"' }], notParticipating: [{ userId: '2', name: 'Bob' }] })
+check('The export lists every section with a header', csv === 'status,name,user_id\nParticipating,"Alice, ""the Tank""",1\nNot Participating,Bob,2\n', csv)
+
+finish('roster')
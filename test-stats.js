@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing attendance statistics...')
+
+import { createPointsLedger } from './ledger.js'
+import { formatRate, getBossOverview, getBossStats, getMemberOverview, getMemberStats } from './stats.js'
+import { createStorage } from './storage.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+const now = new Date('2025-07-31T12:00:00Z')
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000)
+
+// Four kills over three weeks; carol skips every alert
+const ledger = createPointsLedger({ storage: await createStorage({ driver: 'memory' }) })
+const kills = [
+  { messageId: 'm1', monster: 'Venatus', days: 20, participating: ['alice', 'bob'], notParticipating: ['carol'] },
+  { messageId: 'm2', monster: 'Venatus', days: 13, participating: ['alice', 'bob'], notParticipating: ['carol'] },
+  { messageId: 'm3', monster: 'Clemantis', days: 6, participating: ['alice'], notParticipating: ['bob', 'carol'] },
+  { messageId: 'm4', monster: 'Venatus', days: 1, participating: ['alice', 'bob'], notParticipating: ['carol'] }
+]
+await quietly(async () => {
+  await ledger.load()
+  for (const { messageId, monster, days, participating, notParticipating } of kills) {
+    await ledger.recordKill({ messageId, boss: { monster, points: 5 }, killedAt: daysAgo(days), participation: { participating, notParticipating } })
+  }
+})
+
+console.log('\n📝 Attendance:')
+
+const confirmed = await quietly(() => ledger.confirmAttendance('m2', ['bob']))
+check('Confirming attendance keeps the sign-ups who showed up', JSON.stringify(confirmed?.attended) === '["alice"]', confirmed?.attended)
+check('Unknown alerts cannot be confirmed', (await quietly(() => ledger.confirmAttendance('nope', []))) === null)
+await quietly(() => ledger.confirmAttendance('m4', []))
+
+const entries = ledger.getEntries()
+
+console.log('\n👤 Members:')
+
+const bob = getMemberStats(entries, 'bob')
+check('The sign-up rate counts every recorded kill', bob.signUps === 3 && bob.signUpRate === 0.75, bob)
+check('No-shows count only confirmed kills', bob.confirmedSignUps === 2 && bob.noShows === 1 && bob.noShowRate === 0.5, bob)
+check('A confirmed no-show breaks the streak', bob.currentStreak === 1 && bob.longestStreak === 1, bob)
+const alice = getMemberStats(entries, 'alice')
+check('Streaks run across every kill attended', alice.currentStreak === 4 && alice.longestStreak === 4, alice)
+check('Favorite bosses are the most joined', alice.favoriteBosses[0]?.monster === 'Venatus' && alice.favoriteBosses[0].count === 3, alice.favoriteBosses)
+check('Members who never sign up have no no-show rate', getMemberStats(entries, 'carol').noShowRate === null)
+check('Rates are shown as percentages', formatRate(0.756) === '76%' && formatRate(null) === '—')
+
+const ranking = getMemberOverview(entries)
+check('Every member who answered is ranked, most reliable first', ranking.map(member => member.userId).join(',') === 'alice,bob,carol', ranking.map(member => member.userId))
+check('The member overview honours its limit', getMemberOverview(entries, { limit: 1 }).length === 1)
+
+console.log('\n🐉 Bosses:')
+
+const venatus = getBossStats(entries, 'venatus', { weeks: 3, now })
+check('Bosses are matched case-insensitively', venatus.monster === 'Venatus' && venatus.kills === 3, venatus)
+check('Turnout uses confirmed attendance where recorded', venatus.averageTurnout === 1.7, venatus.averageTurnout)
+check('Participation is joined over answered', venatus.participationRate === 0.667, venatus.participationRate)
+check('Kills land in weekly buckets, oldest first', JSON.stringify(venatus.weekly.map(week => week.kills)) === '[1,1,1]', venatus.weekly)
+check('Empty weeks have no rates', getBossStats(entries, 'Clemantis', { weeks: 3, now }).weekly[0].participationRate === null)
+
+const overview = getBossOverview(entries)
+check('The boss overview lists the most killed first', overview.map(boss => boss.monster).join(',') === 'Venatus,Clemantis', overview)
+
+console.log('\n🏰 Servers:')
+
+const shared = createPointsLedger({ storage: await createStorage({ driver: 'memory' }) })
+await quietly(async () => {
+  await shared.load()
+  await shared.recordKill({ messageId: 'g1-kill', guildId: 'g1', boss: { monster: 'Venatus' }, killedAt: daysAgo(2), participation: { participating: ['alice'], notParticipating: [] } })
+  await shared.recordKill({ messageId: 'g2-kill', guildId: 'g2', boss: { monster: 'Venatus' }, killedAt: daysAgo(1), participation: { participating: ['dave'], notParticipating: [] } })
+  await shared.recordKill({ messageId: 'old-kill', boss: { monster: 'Venatus' }, killedAt: daysAgo(3), participation: { participating: ['alice'], notParticipating: [] } })
+})
+check('Kills remember their server', shared.getEntries().find(entry => entry.messageId === 'g1-kill')?.guildId === 'g1')
+const guildEntries = shared.getEntries({ guildId: 'g1' })
+check("A server's stats leave out other servers' kills", !guildEntries.some(entry => entry.guildId === 'g2') && getMemberStats(guildEntries, 'dave').signUps === 0, guildEntries.map(entry => entry.messageId))
+check('Kills recorded before servers were stored count everywhere', guildEntries.some(entry => entry.messageId === 'old-kill') && shared.getEntries({ guildId: 'g2' }).length === 2)
+check('Without a server every kill is listed', shared.getEntries().length === 3)
+
+finish('attendance statistics')
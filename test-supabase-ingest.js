@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing Supabase webhook ingest...')
+
+import { readFileSync } from 'fs'
+import { planIngest, verifyWebhookSecret, parseStatusActions } from './ingest.js'
+import { check, finish } from './test-helpers.js'
+
+// Payloads recorded from the Supabase database webhook on the bosses table
+function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/supabase/${name}.json`, import.meta.url), 'utf8'))
+}
+
+console.log('\n📥 Row changes:')
+
+const inserted = planIngest(loadFixture('insert-pending'))
+check('A new PENDING boss posts an alert', inserted.action === 'post' && inserted.boss.monster === 'Timitris', inserted)
+
+const pending = planIngest(loadFixture('update-status-pending'))
+check('A status change to PENDING posts an alert', pending.action === 'post', pending)
+
+const killed = planIngest(loadFixture('update-killed'))
+check('A status change to KILLED closes the alerts', killed.action === 'close', killed)
+check('The kill is recorded at the new time_of_death, read in DISPLAY_TIMEZONE', killed.killedAt?.toISOString() === '2025-07-31T01:25:00.000Z', killed.killedAt)
+check('DISPLAY_TIMEZONE is honoured', planIngest(loadFixture('update-killed'), { timeZone: 'UTC' }).killedAt?.toISOString() === '2025-07-31T09:25:00.000Z')
+
+const timeOfDeath = planIngest(loadFixture('update-time-of-death'))
+check('A new time_of_death refreshes the alert', timeOfDeath.action === 'refresh', timeOfDeath)
+check('Only the changed fields are sent on', JSON.stringify(Object.keys(timeOfDeath.changes || {}).sort()) === '["respawn_time","time_of_death"]', timeOfDeath.changes)
+// The alert then drops its stale respawn_time and counts down from the new death time
+const deathOnly = planIngest(loadFixture('update-time-of-death-only'))
+check('A change to time_of_death alone refreshes the alert', deathOnly.action === 'refresh' && JSON.stringify(deathOnly.changes) === '{"time_of_death":"2025-07-31T02:40:00"}', deathOnly)
+
+const image = planIngest(loadFixture('update-display-image'))
+check('A new display_image becomes the alert image', image.action === 'refresh' && image.changes?.image_url?.endsWith('timitris-v2.png'), image.changes)
+
+const bookkeeping = planIngest(loadFixture('update-bookkeeping'))
+check('notified/failed_attempts updates are ignored', bookkeeping.action === 'ignore', bookkeeping)
+
+check('Deleted rows are ignored', planIngest(loadFixture('delete')).action === 'ignore')
+check('Other tables are ignored', planIngest(loadFixture('other-table')).action === 'ignore')
+check('A table name from SUPABASE_BOSS_TABLE is honoured', planIngest(loadFixture('insert-pending'), { table: 'boss_timers' }).action === 'ignore')
+check('Non-webhook bodies are rejected', Boolean(planIngest({ monster: 'Timitris' }).error))
+
+console.log('\n⚙️ SUPABASE_STATUS_ACTIONS:')
+
+const statusActions = parseStatusActions('{"pending":"ignore","ALIVE":"post"}')
+check('Statuses are matched case-insensitively', statusActions.PENDING === 'ignore' && statusActions.ALIVE === 'post', statusActions)
+check('A status mapped to ignore does not post', planIngest(loadFixture('insert-pending'), { statusActions }).action === 'ignore')
+
+console.log('\n🔐 Shared secret:')
+
+check('The X-Webhook-Secret header is accepted', verifyWebhookSecret({ 'x-webhook-secret': 's3cret' }, 's3cret'))
+check('A bearer token is accepted', verifyWebhookSecret({ authorization: 'Bearer s3cret' }, 's3cret'))
+check('A wrong secret is rejected', !verifyWebhookSecret({ 'x-webhook-secret': 'guess' }, 's3cret'))
+check('A missing secret is rejected', !verifyWebhookSecret({}, 's3cret'))
+check('Nothing is accepted when SUPABASE_WEBHOOK_SECRET is unset', !verifyWebhookSecret({ 'x-webhook-secret': '' }, undefined))
+
+finish('Supabase ingest')
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+console.log('🧪 Testing outbound webhooks...')
+
+import crypto from 'crypto'
+import { buildWebhook, createWebhooks, getRetryDelay, signPayload } from './webhooks.js'
+import { createStorage } from './storage.js'
+import { check, finish, quietly } from './test-helpers.js'
+
+console.log('\n🔐 Signing:')
+
+const secret = 'a-long-enough-test-secret'
+const body = JSON.stringify({ id: 1, type: 'alert-posted', data: {} })
+const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(`1722420000.${body}`).digest('hex')
+check('Deliveries are signed as HMAC-SHA256 of "timestamp.body"', signPayload(secret, 1722420000, body) === expected)
+check('The signature depends on the timestamp', signPayload(secret, 1722420001, body) !== expected)
+
+console.log('\n📝 Subscribers:')
+
+check('Only http(s) URLs are accepted', Boolean(buildWebhook({ url: 'ftp://example.com' }).error) && Boolean(buildWebhook({ url: 'not a url' }).error))
+check('localhost and private network addresses are refused', ['http://localhost:3000/hook', 'http://127.0.0.1/hook', 'http://10.0.0.5/hook', 'http://192.168.1.20/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook', 'http://[fe80::1]/hook', 'http://[::ffff:127.0.0.1]/hook', 'http://2130706433/hook']
+  .every(url => Boolean(buildWebhook({ url }).error)))
+check('Public addresses are accepted', !buildWebhook({ url: 'https://93.184.216.34/hook' }).error && !buildWebhook({ url: 'https://sheets.example.com/hook' }).error)
+check('Unknown event types are rejected', Boolean(buildWebhook({ url: 'https://example.com', events: ['alert-exploded'] }).error))
+check('Short secrets are rejected', Boolean(buildWebhook({ url: 'https://example.com', secret: 'short' }).error))
+const subscriber = buildWebhook({ url: 'https://example.com/hook', events: 'alert-posted, participation-changed' }).webhook
+check('Events can be a comma-separated list', JSON.stringify(subscriber?.events) === '["alert-posted","participation-changed"]', subscriber?.events)
+check('A secret is generated when none is given', typeof subscriber?.secret === 'string' && subscriber.secret.length === 64)
+check('Subscribers get every event by default', JSON.stringify(buildWebhook({ url: 'https://example.com' }).webhook?.events) === '["*"]')
+
+console.log('\n⏳ Backoff:')
+
+check('Retries back off exponentially', getRetryDelay(1) === 10 * 1000 && getRetryDelay(2) === 20 * 1000 && getRetryDelay(3) === 40 * 1000)
+check('Backoff is capped at 10 minutes', getRetryDelay(20) === 10 * 60 * 1000)
+
+console.log('\n📬 Delivery:')
+
+// Answer each delivery with the next queued response: a status code, or an Error to throw
+const responses = []
+const requests = []
+let cancelledBodies = 0
+const storage = await createStorage({ driver: 'memory' })
+const webhooks = createWebhooks({
+  storage,
+  maxAttempts: 3,
+  send: async (url, options) => {
+    requests.push({ url, options })
+    const response = responses.shift()
+    if (response instanceof Error) throw response
+    return { status: response, ok: response >= 200 && response < 300, body: { cancel: async () => { cancelledBodies++ } } }
+  }
+})
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10))
+
+await quietly(() => webhooks.load())
+const { webhook } = await quietly(() => webhooks.create({ url: 'https://example.com/hook', events: ['alert-posted'], secret }))
+
+// Deliver one event and report the delivery's status after its first attempt
+async function deliver(response) {
+  responses.push(response)
+  await quietly(async () => {
+    webhooks.dispatch({ id: requests.length + 1, type: 'alert-posted', timestamp: new Date().toISOString(), data: { monster: 'Venatus' } })
+    await settle()
+  })
+  return webhooks.getDeliveries({ webhookId: webhook.id, limit: 1 })[0]
+}
+
+const delivered = await deliver(200)
+const request = requests.at(-1)
+check('2xx responses are delivered', delivered?.status === 'delivered' && delivered.attempts === 1, delivered)
+check('The signature header verifies against the raw body',
+  request?.options.headers['X-Signature'] === signPayload(secret, request?.options.headers['X-Timestamp'], request?.options.body))
+check('The response body is released', cancelledBodies === 1, cancelledBodies)
+check('The event type and delivery ID are sent as headers',
+  request?.options.headers['X-Webhook-Event'] === 'alert-posted' && request.options.headers['X-Webhook-Delivery'] === delivered?.id)
+
+for (const status of [500, 503, 408, 429]) {
+  const delivery = await deliver(status)
+  check(`HTTP ${status} is retried`, delivery?.status === 'retrying' && delivery.nextAttemptAt !== null, delivery)
+}
+const networkError = await deliver(new Error('connect ECONNREFUSED'))
+check('Network errors are retried', networkError?.status === 'retrying' && networkError.error === 'connect ECONNREFUSED', networkError)
+const stored = await storage.read('webhook-deliveries', [])
+check('The stored log keeps the data of deliveries waiting for a retry', stored.find(delivery => delivery.id === networkError?.id)?.event.data?.monster === 'Venatus')
+check('Delivered events are stored without their data', stored.find(delivery => delivery.id === delivered?.id)?.event.data === undefined &&
+  stored.find(delivery => delivery.id === delivered?.id)?.event.type === 'alert-posted')
+for (const status of [400, 404, 410]) {
+  const delivery = await deliver(status)
+  check(`HTTP ${status} fails without a retry`, delivery?.status === 'failed' && delivery.attempts === 1, delivery)
+}
+
+requests.length = 0
+await quietly(async () => {
+  webhooks.dispatch({ id: 99, type: 'participation-changed', timestamp: new Date().toISOString(), data: {} })
+  await settle()
+})
+check('Events the subscriber did not ask for are not sent', requests.length === 0)
+
+await quietly(() => webhooks.remove(webhook.id))
+const cancelled = webhooks.getDeliveries({ webhookId: webhook.id, limit: 200 }).filter(delivery => delivery.status === 'cancelled')
+check('Removing a subscriber cancels its pending retries', cancelled.length === 5 && !webhooks.getDeliveries({ webhookId: webhook.id, limit: 200 }).some(delivery => delivery.status === 'retrying'), cancelled.length)
+check('Secrets are not listed', webhooks.list().every(listed => listed.secret === undefined))
+
+finish('webhook')
@@ -0,0 +1,188 @@
+/**
+ * Timezone helpers
+ *
+ * Officers type times the way they read them in game (e.g. "21:30" in GMT+8),
+ * so these helpers turn wall-clock input into real Date objects without relying
+ * on the process TZ.
+ *
+ * Times typed or shown as plain text use the member's /timezone, then the
+ * guild's zone from GUILD_TIMEZONES, then DISPLAY_TIMEZONE (default Asia/Manila).
+ *
+ * The website and Supabase send time_of_death and respawn_time without an
+ * offset ("2025-07-31T01:10:00"); parsePayloadTime reads those in
+ * DISPLAY_TIMEZONE rather than the host's zone.
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Manila'
+
+// Turn a timezone typed by a member ("Europe/London", "UTC", "GMT+8") into an IANA name, or null
+export function normalizeTimeZone(value) {
+  const input = String(value || '').trim()
+  if (!input) {
+    return null
+  }
+
+  // Etc/GMT zones have inverted signs: GMT+8 is Etc/GMT-8
+  const offsetMatch = input.match(/^(?:gmt|utc)\s*([+-])(\d{1,2})$/i)
+  const candidate = offsetMatch
+    ? (parseInt(offsetMatch[2], 10) === 0 ? 'Etc/GMT' : `Etc/GMT${offsetMatch[1] === '+' ? '-' : '+'}${parseInt(offsetMatch[2], 10)}`)
+    : input
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: candidate }).resolvedOptions().timeZone
+  } catch (error) {
+    return null
+  }
+}
+
+// Parse GUILD_TIMEZONES, a JSON object of guild ID to timezone
+export function parseGuildTimeZones(value) {
+  if (!value) {
+    return {}
+  }
+
+  try {
+    const zones = {}
+    for (const [guildId, zone] of Object.entries(JSON.parse(value))) {
+      const timeZone = normalizeTimeZone(zone)
+      if (timeZone) {
+        zones[guildId] = timeZone
+      } else {
+        console.warn(`⚠️ Ignoring unknown timezone "${zone}" for guild ${guildId} in GUILD_TIMEZONES`)
+      }
+    }
+    return zones
+  } catch (error) {
+    console.error('❌ GUILD_TIMEZONES is not valid JSON, using DISPLAY_TIMEZONE everywhere:', error.message)
+    return {}
+  }
+}
+
+// Short UTC offset label for a timezone, e.g. "GMT+8"
+export function getTimeZoneLabel(timeZone, date = new Date()) {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName')
+  return part?.value || timeZone
+}
+
+// Plain-text wall-clock time, for places Discord timestamps don't render (e.g. push notifications)
+export function formatZonedTime(date, timeZone) {
+  const formatted = date.toLocaleString('en-US', {
+    timeZone,
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  })
+  return `${formatted} ${getTimeZoneLabel(timeZone, date)}`
+}
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+export function getTimeZoneOffset(timeZone, date = new Date()) {
+  const parts = {}
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  })
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value
+  }
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - (date.getTime() - date.getMilliseconds())
+}
+
+// Convert a wall-clock date/time in a timezone to the matching instant
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second)
+  // Apply the offset twice so DST transitions land on the right side
+  const firstPass = guess - getTimeZoneOffset(timeZone, new Date(guess))
+  return new Date(guess - getTimeZoneOffset(timeZone, new Date(firstPass)))
+}
+
+// Calendar date (year/month/day/weekday) of an instant in a timezone
+export function getZonedDateParts(date, timeZone) {
+  const shifted = new Date(date.getTime() + getTimeZoneOffset(timeZone, date))
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes()
+  }
+}
+
+/**
+ * Parse a timestamp from an API or webhook payload. Timestamps with an offset
+ * or "Z" are exact; offset-less ones ("2025-07-31T01:10:00") are wall-clock
+ * times in the given timezone. Returns null when the value cannot be parsed.
+ */
+export function parsePayloadTime(value, timeZone = DEFAULT_TIMEZONE) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?$/)
+  if (match) {
+    const [, year, month, day, hour, minute, second = '0', fraction = '0'] = match
+    const date = zonedTimeToDate({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second }, timeZone)
+    return new Date(date.getTime() + Math.round(Number(fraction) * 1000))
+  }
+
+  const parsed = new Date(value)
+  return isNaN(parsed.getTime()) ? null : parsed
+}
+
+/**
+ * Parse a time typed by a user.
+ *
+ * Accepts ISO timestamps ("2025-07-31T01:10:00+08:00", or without an offset
+ * in the given timezone), "now", or a clock time ("21:30", "9:30pm") which is
+ * read in the given timezone and resolved to the most recent occurrence that
+ * is not in the future.
+ * Returns null when the input cannot be understood.
+ */
+export function parseTimeInput(value, timeZone = DEFAULT_TIMEZONE, now = new Date()) {
+  if (!value) {
+    return null
+  }
+
+  const input = String(value).trim().toLowerCase()
+  if (input === 'now') {
+    return new Date(now.getTime())
+  }
+
+  const clockMatch = input.match(/^(\d{1,2}):(\d{2})\s*(am|pm)?$/)
+  if (clockMatch) {
+    let hour = parseInt(clockMatch[1], 10)
+    const minute = parseInt(clockMatch[2], 10)
+    const meridiem = clockMatch[3]
+
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null
+      hour = (hour % 12) + (meridiem === 'pm' ? 12 : 0)
+    }
+    if (hour > 23 || minute > 59) {
+      return null
+    }
+
+    const today = getZonedDateParts(now, timeZone)
+    let result = zonedTimeToDate({ ...today, hour, minute }, timeZone)
+    if (result.getTime() > now.getTime()) {
+      // A clock time later than now means yesterday
+      const yesterday = getZonedDateParts(new Date(result.getTime() - 24 * 60 * 60 * 1000), timeZone)
+      result = zonedTimeToDate({ ...yesterday, hour, minute }, timeZone)
+    }
+    return result
+  }
+
+  return parsePayloadTime(value, timeZone)
+}
@@ -0,0 +1,81 @@
+/**
+ * Per-member settings
+ *
+ * Members adjust how the bot treats them with slash commands (/reminders,
+ * /timezone, /profile). Only the values a member changed are stored; everything else
+ * falls back to DEFAULT_USER_SETTINGS.
+ *
+ * Settings are persisted in the "user-settings" storage collection:
+ *   { [userId]: { dmReminders, reminderLeads: [minutes], quietHours: { start, end }, timezone, partyClass } }
+ */
+
+export const DEFAULT_USER_SETTINGS = {
+  // DM a reminder before bosses the member joined
+  dmReminders: true,
+  // Minutes before respawn to DM, or null for the server default
+  reminderLeads: null,
+  // { start: 'HH:MM', end: 'HH:MM' } window without DMs, or null
+  quietHours: null,
+  // IANA timezone for times the member types or reads in DMs, or null for the guild's
+  timezone: null,
+  // Party role picked with /profile class, or null to go by Discord roles (see party.js)
+  partyClass: null
+}
+
+// Parse a "HH:MM" clock time into minutes after midnight, or null
+export function parseClockMinutes(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/)
+  if (!match) {
+    return null
+  }
+
+  const hour = parseInt(match[1], 10)
+  const minute = parseInt(match[2], 10)
+  if (hour > 23 || minute > 59) {
+    return null
+  }
+  return hour * 60 + minute
+}
+
+export function createUserSettings({ storage }) {
+  let settings = {}
+
+  async function save() {
+    try {
+      await storage.write('user-settings', settings)
+    } catch (error) {
+      console.error('❌ Failed to persist user settings:', error.message)
+    }
+  }
+
+  return {
+    async load() {
+      settings = await storage.read('user-settings', {})
+      console.log(`⚙️ Restored settings for ${Object.keys(settings).length} members`)
+    },
+
+    get(userId) {
+      return { ...DEFAULT_USER_SETTINGS, ...settings[userId] }
+    },
+
+    // Merge changes into a member's settings; null resets a setting to its default
+    async update(userId, changes) {
+      const current = { ...settings[userId] }
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null) {
+          delete current[key]
+        } else {
+          current[key] = value
+        }
+      }
+
+      if (Object.keys(current).length > 0) {
+        settings[userId] = current
+      } else {
+        delete settings[userId]
+      }
+      await save()
+      return this.get(userId)
+    }
+  }
+}
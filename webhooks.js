@@ -0,0 +1,309 @@
+/**
+ * Outbound webhooks
+ *
+ * Other tools - the website backend, the guild spreadsheet sync - register a
+ * URL with POST /api/webhooks and receive a JSON POST for each bot event they
+ * subscribe to (see events.js for the types), e.g. participation-changed when
+ * a member signs up, alert-posted, alert-killed or alert-expired.
+ *
+ * The body is the event itself: { id, type, timestamp, data }. Each delivery
+ * is signed the same way incoming API requests are (see auth.js):
+ *   X-Timestamp: <unix seconds>, X-Signature: sha256=<hex>
+ * where the signature is HMAC-SHA256(<webhook secret>, `${timestamp}.${rawBody}`).
+ * X-Webhook-Event and X-Webhook-Delivery carry the event type and delivery ID.
+ *
+ * Deliveries that fail with a network error, timeout, 408, 429 or 5xx are
+ * retried with exponential backoff (10s, 20s, 40s, ...) up to
+ * WEBHOOK_MAX_ATTEMPTS attempts (default 5). Other responses fail at once.
+ *
+ * URLs on localhost or a private, loopback or link-local address are refused
+ * so an API key can't be used to reach the bot's own network. Host names are
+ * not resolved, so one that points at such an address still gets through.
+ *
+ * Subscribers are persisted in the "webhooks" storage collection:
+ *   { [id]: { id, url, events, secret, description, createdAt } }
+ * and the delivery log - the most recent deliveries, including ones waiting
+ * for a retry, which resume after a restart - in "webhook-deliveries":
+ *   [{ id, webhookId, event, status, attempts, responseStatus, error, createdAt, lastAttemptAt, nextAttemptAt }]
+ * Only deliveries still waiting to be sent keep the event's data; the rest
+ * keep its { id, type, timestamp }.
+ */
+
+import crypto from 'crypto'
+import net from 'net'
+import { EVENT_TYPES } from './events.js'
+
+const LOG_SIZE = 200
+const REQUEST_TIMEOUT_MS = 10 * 1000
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000
+
+// Wait before retrying after a given number of failed attempts: 10s, 20s, 40s, ... up to 10 minutes
+export function getRetryDelay(attempts) {
+  return Math.min(10 * 1000 * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+}
+
+// X-Signature value for a delivery body
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+}
+
+// Addresses a subscriber URL may not point at (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const PRIVATE_ADDRESSES = new net.BlockList()
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4')
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6')
+}
+
+// Whether a URL's host is localhost or a private, loopback or link-local IP address
+function isPrivateHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase()
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true
+  }
+  const family = net.isIP(host)
+  return family !== 0 && PRIVATE_ADDRESSES.check(host, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+// Whether a failed delivery is worth retrying (no response, timeouts, rate limits and server errors)
+function isRetryable(responseStatus) {
+  return responseStatus === null || responseStatus === 408 || responseStatus === 429 || responseStatus >= 500
+}
+
+/**
+ * Validate a new subscriber: { url, events, secret, description }.
+ * events defaults to every event ("*"); secret is generated when not given.
+ * Returns { webhook } or { error }.
+ */
+export function buildWebhook(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be an object with a url' }
+  }
+
+  let url
+  try {
+    url = new URL(body.url)
+  } catch {
+    return { error: 'url must be an absolute http(s) URL' }
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'url must be an absolute http(s) URL' }
+  }
+  if (isPrivateHost(url)) {
+    return { error: 'url must not point at localhost or a private network address' }
+  }
+
+  const events = body.events === undefined || body.events === '*'
+    ? ['*']
+    : (Array.isArray(body.events) ? body.events : String(body.events).split(',')).map(type => String(type).trim()).filter(Boolean)
+  const unknown = events.filter(type => type !== '*' && !EVENT_TYPES.includes(type))
+  if (events.length === 0 || unknown.length > 0) {
+    return { error: `Unknown event type ${unknown[0] || '(none)'} - use "*" or any of ${EVENT_TYPES.join(', ')}` }
+  }
+  if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+    return { error: 'secret must be a string of at least 16 characters' }
+  }
+
+  return {
+    webhook: {
+      id: crypto.randomUUID(),
+      url: url.toString(),
+      events: events.includes('*') ? ['*'] : [...new Set(events)],
+      secret: body.secret || crypto.randomBytes(32).toString('hex'),
+      description: body.description ? String(body.description).trim() : null,
+      createdAt: new Date().toISOString()
+    }
+  }
+}
+
+// A subscriber as listed by the API - the secret is only returned when it is created
+function toPublicWebhook({ secret, ...webhook }) {
+  return webhook
+}
+
+export function createWebhooks({ storage, maxAttempts, send = fetch }) {
+  const attemptLimit = maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5
+  let webhooks = {}
+  let deliveries = []
+  // Retry timers by delivery ID
+  const retryTimers = new Map()
+
+  async function saveWebhooks() {
+    try {
+      await storage.write('webhooks', webhooks)
+    } catch (error) {
+      console.error('❌ Failed to persist webhooks:', error.message)
+    }
+  }
+
+  // Deliveries that finish together (one event, several subscribers) share one write of the log
+  let queuedSave = null
+  function saveDeliveries() {
+    queuedSave ||= new Promise(resolve => setImmediate(resolve)).then(async () => {
+      queuedSave = null
+      try {
+        await storage.write('webhook-deliveries', deliveries)
+      } catch (error) {
+        console.error('❌ Failed to persist webhook deliveries:', error.message)
+      }
+    })
+    return queuedSave
+  }
+
+  // A finished delivery no longer needs the event's data
+  function settle(delivery, status) {
+    const { id, type, timestamp } = delivery.event
+    delivery.status = status
+    delivery.nextAttemptAt = null
+    delivery.event = { id, type, timestamp }
+  }
+
+  function scheduleRetry(delivery, delay) {
+    retryTimers.set(delivery.id, setTimeout(() => {
+      retryTimers.delete(delivery.id)
+      attempt(delivery).catch(error => console.error(`❌ Webhook delivery ${delivery.id} failed:`, error.message))
+    }, delay))
+  }
+
+  async function attempt(delivery) {
+    const webhook = webhooks[delivery.webhookId]
+    if (!webhook) {
+      settle(delivery, 'cancelled')
+      await saveDeliveries()
+      return
+    }
+
+    const body = JSON.stringify(delivery.event)
+    const timestamp = Math.floor(Date.now() / 1000)
+    let responseStatus = null
+    let error = null
+    delivery.attempts++
+    delivery.lastAttemptAt = new Date().toISOString()
+
+    try {
+      const response = await send(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Timestamp': String(timestamp),
+          'X-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      })
+      responseStatus = response.status
+      if (!response.ok) {
+        error = `HTTP ${response.status}`
+      }
+      // The response body is never read - release the connection
+      await response.body?.cancel().catch(() => {})
+    } catch (requestError) {
+      error = requestError.message
+    }
+
+    delivery.responseStatus = responseStatus
+    delivery.error = error
+    if (!error) {
+      settle(delivery, 'delivered')
+    } else if (delivery.attempts < attemptLimit && isRetryable(responseStatus)) {
+      const delay = getRetryDelay(delivery.attempts)
+      delivery.status = 'retrying'
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString()
+      console.log(`⏳ Webhook ${delivery.event.type} to ${webhook.url} failed (${error}), retrying in ${Math.ceil(delay / 1000)}s`)
+      scheduleRetry(delivery, delay)
+    } else {
+      settle(delivery, 'failed')
+      console.error(`❌ Webhook ${delivery.event.type} to ${webhook.url} failed after ${delivery.attempts} attempt(s): ${error}`)
+    }
+    await saveDeliveries()
+  }
+
+  return {
+    async load() {
+      webhooks = await storage.read('webhooks', {})
+      deliveries = await storage.read('webhook-deliveries', [])
+
+      // Pick up retries that were waiting when the bot restarted
+      const pending = deliveries.filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying')
+      for (const delivery of pending) {
+        scheduleRetry(delivery, Math.max(0, new Date(delivery.nextAttemptAt || 0).getTime() - Date.now()))
+      }
+      console.log(`🪝 Restored ${Object.keys(webhooks).length} webhooks (${pending.length} deliveries pending)`)
+    },
+
+    list() {
+      return Object.values(webhooks).map(toPublicWebhook)
+    },
+
+    find(id) {
+      return webhooks[id] ? toPublicWebhook(webhooks[id]) : null
+    },
+
+    // Register a subscriber. Returns { webhook } including its secret, or { error }.
+    async create(body) {
+      const { webhook, error } = buildWebhook(body)
+      if (error) {
+        return { error }
+      }
+      webhooks[webhook.id] = webhook
+      await saveWebhooks()
+      return { webhook }
+    },
+
+    // Remove a subscriber and cancel its pending retries. Returns the subscriber, or null.
+    async remove(id) {
+      const webhook = webhooks[id]
+      if (!webhook) {
+        return null
+      }
+      delete webhooks[id]
+      for (const delivery of deliveries) {
+        if (delivery.webhookId === id && retryTimers.has(delivery.id)) {
+          clearTimeout(retryTimers.get(delivery.id))
+          retryTimers.delete(delivery.id)
+          settle(delivery, 'cancelled')
+        }
+      }
+      await saveWebhooks()
+      await saveDeliveries()
+      return toPublicWebhook(webhook)
+    },
+
+    // Most recent deliveries first, optionally for one subscriber
+    getDeliveries({ webhookId = null, limit = 50 } = {}) {
+      return deliveries
+        .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+        .slice(-limit)
+        .reverse()
+    },
+
+    // Deliver an event (from events.js) to every subscriber that wants it
+    dispatch(event) {
+      const subscribers = Object.values(webhooks)
+        .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event.type))
+
+      for (const webhook of subscribers) {
+        const delivery = {
+          id: crypto.randomUUID(),
+          webhookId: webhook.id,
+          event,
+          status: 'pending',
+          attempts: 0,
+          responseStatus: null,
+          error: null,
+          createdAt: new Date().toISOString(),
+          lastAttemptAt: null,
+          nextAttemptAt: null
+        }
+        deliveries.push(delivery)
+        if (deliveries.length > LOG_SIZE) {
+          deliveries.shift()
+        }
+        attempt(delivery).catch(error => console.error(`❌ Webhook delivery ${delivery.id} failed:`, error.message))
+      }
+    }
+  }
+}